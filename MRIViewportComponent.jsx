@@ -1,6 +1,15 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { MRIViewportManager } from './mriViewportManager';
-import correlationData from './correlationTables.json';
+import { MRIViewportManager, MRIImageCache } from './mriViewportManager';
+import {
+  PLANES, normalizeClick, parseCorrelationTables, denormalizePoint, fitImageRect, mirrorForSide,
+  locateSlices, locateSlicesByGeometry,
+} from './correlationEngine';
+import { IDENTITY_TRANSFORM, zoomAt, panBy, imageToScreen } from './viewTransform';
+import { attachTouchGestures, showGestureMenu } from './touchGestures';
+import { UrlManifestSource } from './imageSource';
+import { formatManifestProblem } from './imageManifest';
+import defaultCorrelationData from './correlationTables.json';
+import defaultStudy from './realMRIImages.json';
 
 // Styles for React Native (modify for web as needed)
 const styles = {
@@ -43,6 +52,7 @@ const styles = {
   },
   imageContainer: {
     position: 'relative',
+    touchAction: 'none',
     borderWidth: 2,
     borderColor: '#444',
     borderRadius: 4,
@@ -52,6 +62,8 @@ const styles = {
     width: 300,
     height: 300,
     backgroundColor: '#333',
+    objectFit: 'contain',
+    transformOrigin: '0 0',
   },
   crosshair: {
     position: 'absolute',
@@ -117,61 +129,290 @@ const styles = {
     fontSize: 12,
     fontFamily: 'monospace',
   },
+  problems: {
+    margin: '5px 0 0',
+    paddingLeft: 16,
+    fontSize: 11,
+    fontFamily: 'monospace',
+    maxHeight: 120,
+    overflowY: 'auto',
+  },
+  problem: {
+    warning: { color: '#ffeb3b' },
+    error: { color: '#ff6b6b' },
+  },
 };
 
-const MRIViewportComponent = () => {
+/**
+ * Crosshair for a viewport a click correlated to: where the other two planes' current
+ * slices cross in its image, as a point in the unzoomed image element (0-1, y from the top).
+ * @param {MRIViewportManager} manager
+ * @param {string} viewport
+ * @param {string} mode - The correlate event's mode, 'geometry' or 'coefficients'.
+ * @param {HTMLImageElement} [image] - For the letterbox around the image.
+ * @returns {{x: number, y: number}|null} Null if the slices don't cross inside the image.
+ */
+function locateCrosshair(manager, viewport, mode, image) {
+  const located = mode === 'geometry'
+    ? locateSlicesByGeometry(manager.seriesGeometry, viewport, manager.currentSlices)
+    : locateSlices(manager.getRegionProfile().coefficients, viewport, manager.currentSlices);
+  const point = located && located.intersection;
+  if (!point || point.x < 0 || point.x > 1 || point.y < 0 || point.y > 1) {
+    return null;
+  }
+
+  // Coefficients are measured on the reference side; geometry maps the image as displayed
+  const x = mode === 'geometry' ? point.x : mirrorForSide(point.x, viewport, manager.side, manager.getReferenceSide());
+  const { width, height } = styles.mriImage;
+  const rect = fitImageRect(image && image.naturalWidth, image && image.naturalHeight, width, height);
+  const pixel = denormalizePoint(x, point.y, rect.width, rect.height);
+  return { x: (rect.x + pixel.x) / width, y: (rect.y + pixel.y) / height };
+}
+
+/**
+ * Three correlated viewports for one study. Slices are kept by an MRIViewportManager and
+ * images are loaded through an MRIImageCache, one of each per component, so several
+ * viewers can be embedded on a page.
+ *
+ * @param {Object} props
+ * @param {Object} [props.study] - Image manifest in the realMRIImages.json format. Its
+ *   `study.region` and `study.side` are used when the region and side props are not given.
+ * @param {ImageSource} [props.imageSource] - Where images come from (see imageSource.js),
+ *   instead of the study manifest; e.g. a TestPatternSource for offline development.
+ * @param {Object} [props.correlationData] - Correlation tables in the correlationTables.json format.
+ * @param {string} [props.region] - Region whose coefficient profile correlates clicks.
+ * @param {Object} [props.regionProfile] - Profile for `region`, replacing the one in correlationData.
+ * @param {string} [props.side] - Study side, 'right' or 'left'.
+ * @param {Object} [props.initialSlices] - Starting slice per plane, e.g. `{ axial: 10 }`; planes
+ *   left out start in the middle. Read when the study loads.
+ * @param {function(string, number, Object, Object): void} [props.onSliceChange] - Called with the
+ *   viewport, its new slice, the current slices of all viewports and the manager's
+ *   slicechange detail (cause, sourceViewport, correlation).
+ * @param {number} [props.maxCacheBytes] - Memory budget of the image cache; least recently
+ *   viewed slices are evicted beyond it. Defaults to 256 MB.
+ */
+const MRIViewportComponent = ({
+  study = defaultStudy,
+  imageSource,
+  correlationData = defaultCorrelationData,
+  region,
+  regionProfile,
+  side,
+  initialSlices = {},
+  onSliceChange,
+  maxCacheBytes,
+}) => {
   const [viewportManager, setViewportManager] = useState(null);
   const [currentSlices, setCurrentSlices] = useState({
     axial: 0,
     sagittal: 0,
     coronal: 0,
   });
+  const [displayUrls, setDisplayUrls] = useState({});
   const [showCrosshairs, setShowCrosshairs] = useState(false);
+  // Per viewport, a point in the unzoomed image element (0-1) or null; drawn through its transform
   const [crosshairPositions, setCrosshairPositions] = useState({
-    axial: { x: 0, y: 0 },
-    sagittal: { x: 0, y: 0 },
-    coronal: { x: 0, y: 0 },
+    axial: null,
+    sagittal: null,
+    coronal: null,
   });
   const [statusText, setStatusText] = useState('Loading...');
   const [clickCoordinates, setClickCoordinates] = useState('');
+  // Gaps, duplicates and other problems found in the image manifest
+  const [sourceProblems, setSourceProblems] = useState([]);
+
+  const [transforms, setTransforms] = useState({
+    axial: IDENTITY_TRANSFORM,
+    sagittal: IDENTITY_TRANSFORM,
+    coronal: IDENTITY_TRANSFORM,
+  });
 
   const imageRefs = useRef({
     axial: null,
     sagittal: null,
     coronal: null,
   });
+  const containerRefs = useRef({
+    axial: null,
+    sagittal: null,
+    coronal: null,
+  });
+  // Latest gesture handlers; the touch listeners are attached once and call through this
+  const gestureHandlers = useRef({});
+
+  // Image cache and image source of the loaded study
+  const imageCacheRef = useRef(null);
+  const sourceRef = useRef(null);
+
+  // Read through refs so a new callback or slices object doesn't reload the study
+  const onSliceChangeRef = useRef(onSliceChange);
+  onSliceChangeRef.current = onSliceChange;
+  const initialSlicesRef = useRef(initialSlices);
+  initialSlicesRef.current = initialSlices;
+  const maxCacheBytesRef = useRef(maxCacheBytes);
+  maxCacheBytesRef.current = maxCacheBytes;
 
-  // Initialize viewport manager
+  // Open the image source, then create the viewport manager and image cache for it
   useEffect(() => {
+    const source = imageSource || new UrlManifestSource(study);
+    let cancelled = false;
+    let cleanup = () => {};
+
     const initializeManager = async () => {
       try {
-        const manager = new MRIViewportManager(correlationData);
-        
-        // Add listener for slice changes
-        manager.addListener((changes, newSlices) => {
-          console.log('Slice changes:', changes);
-          setCurrentSlices({ ...newSlices });
-        });
+        await source.open();
+      } catch (error) {
+        console.error('Failed to open image source:', error);
+        if (!cancelled) {
+          setSourceProblems(error.problems || []);
+          setStatusText(error.problems ? 'Error: invalid image manifest' : 'Error: could not load images');
+        }
+        return;
+      }
+      if (cancelled) return;
+      setSourceProblems(source.getProblems());
+
+      const missing = source.getMissingPlanes();
+      if (missing.length > 0) {
+        console.error('Image source has no images for:', missing);
+        setStatusText(`Error: no ${missing.join('/')} images`);
+        return;
+      }
 
-        // Initialize with center slices
-        manager.setSlice('axial', 10);
-        manager.setSlice('sagittal', 10);
-        manager.setSlice('coronal', 15);
+      const totalSlices = {};
+      PLANES.forEach(plane => {
+        totalSlices[plane] = source.getSliceCount(plane);
+      });
 
-        setViewportManager(manager);
-        setStatusText('Ready - Tap on any image');
-        
+      let manager;
+      try {
+        manager = new MRIViewportManager(containerRefs.current, totalSlices);
+
+        // Rejects tables written in a different convention
+        const profiles = parseCorrelationTables(correlationData);
+        Object.entries(profiles).forEach(([id, profile]) => manager.registerRegionProfile(id, profile));
+        // Sources with slice geometry (the test pattern) correlate in patient space
+        const seriesGeometry = source.getSeriesGeometry();
+        if (seriesGeometry) {
+          manager.setSeriesGeometry(seriesGeometry);
+        }
       } catch (error) {
         console.error('Failed to initialize viewport manager:', error);
         setStatusText('Error loading viewer');
+        return;
       }
+
+      Object.entries(initialSlicesRef.current).forEach(([viewport, slice]) => {
+        if (PLANES.includes(viewport) && Number.isInteger(slice)) {
+          manager.setCurrentSlice(viewport, slice, { silent: true });
+        }
+      });
+
+      const imageCache = new MRIImageCache({ maxBytes: maxCacheBytesRef.current });
+      imageCache.setSource(source);
+      imageCacheRef.current = imageCache;
+      sourceRef.current = source;
+      // Prefetch outward from the viewed slices (and a click's correlated slices first)
+      const unfollow = imageCache.followManager(manager);
+      imageCache.preloadImages();
+
+      const unsubscribeSlices = manager.on('slicechange', (detail) => {
+        setCurrentSlices(detail.currentSlices);
+        if (onSliceChangeRef.current) {
+          onSliceChangeRef.current(detail.viewport, detail.sliceNumber, detail.currentSlices, detail);
+        }
+      });
+      const unsubscribeErrors = manager.on('error', ({ message }) => setStatusText(`Error: ${message}`));
+      // Crosshairs on the viewports a click correlated to, where their new slices cross
+      const unsubscribeCorrelate = manager.on('correlate', ({ mode, slices }) => {
+        const positions = {};
+        Object.keys(slices).forEach(viewport => {
+          try {
+            positions[viewport] = locateCrosshair(manager, viewport, mode, imageRefs.current[viewport]);
+          } catch (error) {
+            console.error(`Cannot locate slices in ${viewport}:`, error.message);
+            positions[viewport] = null;
+          }
+        });
+        setCrosshairPositions(prev => ({ ...prev, ...positions }));
+      });
+
+      setCurrentSlices({ ...manager.currentSlices });
+      setViewportManager(manager);
+      setStatusText('Ready - Tap on any image');
+
+      cleanup = () => {
+        unfollow();
+        unsubscribeSlices();
+        unsubscribeErrors();
+        unsubscribeCorrelate();
+        imageCache.clearCache();
+      };
     };
 
     initializeManager();
-  }, []);
+
+    return () => {
+      cancelled = true;
+      cleanup();
+      // A source passed in is the caller's to close
+      if (!imageSource) {
+        source.close();
+      }
+    };
+  }, [study, imageSource, correlationData]);
+
+  // A new budget applies to the loaded study at once
+  useEffect(() => {
+    if (imageCacheRef.current && Number.isFinite(maxCacheBytes)) {
+      imageCacheRef.current.setMaxBytes(maxCacheBytes);
+    }
+  }, [maxCacheBytes]);
+
+  // Region profile and side, from the props or else the study metadata
+  useEffect(() => {
+    if (!viewportManager) return;
+    const studyInfo = sourceRef.current.getStudy();
+    const regionId = region || studyInfo.region || viewportManager.region;
+    if (regionProfile) {
+      viewportManager.registerRegionProfile(regionId, regionProfile);
+    }
+    if (!viewportManager.setRegion(regionId)) {
+      setStatusText(`No correlation profile for ${regionId}`);
+    }
+    viewportManager.setSide(side || studyInfo.side || viewportManager.side);
+  }, [viewportManager, region, regionProfile, side]);
+
+  // Show each slice from the cache, or from its URL until the cache has loaded it
+  useEffect(() => {
+    const imageCache = imageCacheRef.current;
+    const source = sourceRef.current;
+    if (!viewportManager || !imageCache) return undefined;
+
+    let current = true;
+    PLANES.forEach(viewport => {
+      const slice = currentSlices[viewport];
+      const cachedUrl = imageCache.getCachedUrl(viewport, slice);
+      setDisplayUrls(prev => ({ ...prev, [viewport]: cachedUrl || source.getImageUrl(viewport, slice) }));
+      if (cachedUrl) return;
+
+      imageCache.getImage(viewport, slice)
+        .then(objectUrl => {
+          if (current) {
+            setDisplayUrls(prev => ({ ...prev, [viewport]: objectUrl }));
+          }
+        })
+        .catch(() => {
+          // Logged by the cache; the image stays loaded from its URL
+        });
+    });
+    return () => {
+      current = false;
+    };
+  }, [viewportManager, currentSlices]);
 
   // Handle image press/click
-  const handleImagePress = useCallback((viewport, event) => {
+  const handleImagePress = useCallback(async (viewport, event) => {
     if (!viewportManager) return;
 
     // Get touch/click coordinates
@@ -196,30 +437,35 @@ const MRIViewportComponent = () => {
     }
 
     // Update coordinates display with flipped Y-axis
-    const xPercent = ((x / width) * 100).toFixed(1);
-    const yPercentFlipped = (((height - y) / height) * 100).toFixed(1);
+    const normalized = normalizeClick(x, y, width, height);
+    const xPercent = (normalized.x * 100).toFixed(1);
+    const yPercentFlipped = (normalized.y * 100).toFixed(1);
     setClickCoordinates(
       `Tap: ${viewport} (${x.toFixed(0)}, ${y.toFixed(0)}) = ${xPercent}%, ${yPercentFlipped}% (Y-flipped)`
     );
 
-    // Handle viewport correlation
-    viewportManager.handleViewportClick(viewport, x, y, width, height);
-
-    // Update crosshair position
-    if (showCrosshairs) {
-      setCrosshairPositions(prev => ({
-        ...prev,
-        [viewport]: { x, y }
-      }));
+    // Handle viewport correlation; the image is letterboxed (objectFit: contain) in its element
+    const image = imageRefs.current[viewport];
+    const result = await viewportManager.handleViewportClick(
+      viewport, x, y, width, height, image && image.naturalWidth, image && image.naturalHeight
+    );
+    if (result) {
+      setStatusText(`Correlated ${viewport} click (${result.mode})`);
     }
-  }, [viewportManager, showCrosshairs]);
+
+    // The click's place in the image: the rect is the zoomed image, so this holds at any zoom
+    setCrosshairPositions(prev => ({
+      ...prev,
+      [viewport]: { x: x / width, y: y / height }
+    }));
+  }, [viewportManager]);
 
   // Reset viewer to center
   const resetViewer = useCallback(() => {
     if (viewportManager) {
-      viewportManager.setSlice('axial', 10);
-      viewportManager.setSlice('sagittal', 10);
-      viewportManager.setSlice('coronal', 15);
+      PLANES.forEach(viewport => {
+        viewportManager.setCurrentSlice(viewport, Math.floor(viewportManager.totalSlices[viewport] / 2));
+      });
       setClickCoordinates('');
     }
   }, [viewportManager]);
@@ -229,9 +475,55 @@ const MRIViewportComponent = () => {
     setShowCrosshairs(prev => !prev);
   }, []);
 
+  const setTransform = useCallback((viewport, update) => {
+    setTransforms(prev => ({ ...prev, [viewport]: update(prev[viewport]) }));
+  }, []);
+
+  gestureHandlers.current = {
+    onTap: (viewport, { x, y }) => {
+      handleImagePress(viewport, { clientX: x, clientY: y, target: imageRefs.current[viewport] });
+    },
+    onSwipe: (viewport, direction) => {
+      if (!viewportManager) return;
+      // Clamped to the series by the manager
+      viewportManager.setCurrentSlice(viewport, viewportManager.getCurrentSlice(viewport) + direction, { cause: 'touch' });
+    },
+    onPinch: (viewport, factor, center) => {
+      const rect = containerRefs.current[viewport].getBoundingClientRect();
+      setTransform(viewport, t => zoomAt(t, factor, (center.x - rect.left) / rect.width, (center.y - rect.top) / rect.height));
+    },
+    onPan: (viewport, dx, dy) => {
+      const rect = containerRefs.current[viewport].getBoundingClientRect();
+      setTransform(viewport, t => panBy(t, dx / rect.width, dy / rect.height));
+    },
+    onLongPress: (viewport, { x, y }) => {
+      showGestureMenu(x, y, [
+        { label: 'Reset to Center', action: resetViewer },
+        { label: showCrosshairs ? 'Hide Crosshairs' : 'Show Crosshairs', action: toggleCrosshairs },
+        { label: 'Reset Zoom', action: () => setTransform(viewport, () => IDENTITY_TRANSFORM) },
+      ]);
+    },
+  };
+
+  // Touch gestures (see touchGestures.js), shared with the plain-JavaScript viewers
+  useEffect(() => {
+    const detachers = Object.entries(containerRefs.current).map(([viewport, container]) => (
+      attachTouchGestures(container, {
+        onTap: (point) => gestureHandlers.current.onTap(viewport, point),
+        onSwipe: (direction) => gestureHandlers.current.onSwipe(viewport, direction),
+        onPinch: (factor, center) => gestureHandlers.current.onPinch(viewport, factor, center),
+        onPan: (dx, dy) => gestureHandlers.current.onPan(viewport, dx, dy),
+        onLongPress: (point) => gestureHandlers.current.onLongPress(viewport, point),
+      })
+    ));
+    return () => detachers.forEach(detach => detach());
+  }, []);
+
   // Render viewport
   const renderViewport = (viewport) => {
-    const crosshairPos = crosshairPositions[viewport];
+    const { zoom, panX, panY } = transforms[viewport];
+    const crosshairPoint = crosshairPositions[viewport];
+    const crosshairPos = crosshairPoint && imageToScreen(transforms[viewport], crosshairPoint.x, crosshairPoint.y);
     
     return (
       <div key={viewport} style={styles.viewport}>
@@ -239,11 +531,14 @@ const MRIViewportComponent = () => {
           {viewport.charAt(0).toUpperCase() + viewport.slice(1)} View
         </h3>
         
-        <div style={styles.imageContainer}>
+        <div style={styles.imageContainer} ref={ref => containerRefs.current[viewport] = ref}>
           <img
             ref={ref => imageRefs.current[viewport] = ref}
-            style={styles.mriImage}
-            src={`images/${viewport}/slice_${currentSlices[viewport].toString().padStart(3, '0')}.jpg`}
+            style={{
+              ...styles.mriImage,
+              transform: `translate(${panX * 100}%, ${panY * 100}%) scale(${zoom})`,
+            }}
+            src={displayUrls[viewport]}
             alt={`${viewport} MRI slice ${currentSlices[viewport]}`}
             onClick={(e) => handleImagePress(viewport, e)}
             onError={(e) => {
@@ -259,14 +554,14 @@ const MRIViewportComponent = () => {
             }}
           />
           
-          {showCrosshairs && (
+          {showCrosshairs && crosshairPos && (
             <>
               <div
                 style={{
                   ...styles.crosshairH,
                   left: 0,
                   right: 0,
-                  top: crosshairPos.y,
+                  top: crosshairPos.v * styles.mriImage.height,
                 }}
               />
               <div
@@ -274,7 +569,7 @@ const MRIViewportComponent = () => {
                   ...styles.crosshairV,
                   top: 0,
                   bottom: 0,
-                  left: crosshairPos.x,
+                  left: crosshairPos.u * styles.mriImage.width,
                 }}
               />
             </>
@@ -282,7 +577,7 @@ const MRIViewportComponent = () => {
         </div>
         
         <div style={styles.sliceInfo}>
-          Slice: <span style={styles.currentSlice}>{currentSlices[viewport]}</span> / 20
+          Slice: <span style={styles.currentSlice}>{currentSlices[viewport]}</span> / {viewportManager ? viewportManager.getMaxSlice(viewport) : 0}
         </div>
       </div>
     );
@@ -290,7 +585,7 @@ const MRIViewportComponent = () => {
 
   return (
     <div style={styles.container}>
-      <h1 style={styles.title}>Correlated MRI Shoulder Viewer</h1>
+      <h1 style={styles.title}>Correlated MRI Viewer</h1>
       <p style={styles.subtitle}>Tap on any image to see correlated slices in other viewports</p>
       
       <div style={styles.controls}>
@@ -311,6 +606,15 @@ const MRIViewportComponent = () => {
       <div style={styles.status}>
         <div style={styles.statusText}>Status: {statusText}</div>
         <div style={styles.coordinates}>{clickCoordinates}</div>
+        {sourceProblems.length > 0 && (
+          <ul style={styles.problems}>
+            {sourceProblems.map((problem, index) => (
+              <li key={index} style={styles.problem[problem.level]}>
+                {formatManifestProblem(problem)}
+              </li>
+            ))}
+          </ul>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,270 @@
+/**
+ * Annotation Store
+ * Arrows, text labels and freehand outlines, keyed by series and slice, saved to
+ * localStorage and exchanged as JSON so a case annotated on one machine can be
+ * opened on another.
+ *
+ * Points use image coordinates (0-1 across the image, y from the top), like the
+ * measurement tools, so annotations do not depend on viewport size or zoom.
+ *
+ * Exchange format (version 1):
+ *   {
+ *     "format": "mri-viewer-annotations",
+ *     "version": 1,
+ *     "annotations": [
+ *       { "series": "<series id>", "slice": 10, "type": "arrow", "points": [{ "x": 0.4, "y": 0.3 }, { "x": 0.5, "y": 0.45 }] },
+ *       { "series": "<series id>", "slice": 10, "type": "text", "points": [{ "x": 0.2, "y": 0.2 }], "text": "Tear" }
+ *     ]
+ *   }
+ */
+
+const ANNOTATION_FORMAT = 'mri-viewer-annotations';
+const ANNOTATION_FORMAT_VERSION = 1;
+const ANNOTATION_STORAGE_KEY = 'mri-viewer.annotations';
+
+/**
+ * Annotation types and their point counts (`minPoints` for freehand outlines).
+ */
+const ANNOTATION_TYPES = {
+  arrow: { label: 'Arrow', points: 2 },
+  text: { label: 'Text', points: 1 },
+  freehand: { label: 'Freehand', minPoints: 2 }
+};
+
+/**
+ * Raised when annotation JSON is not in the exchange format.
+ */
+class AnnotationFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AnnotationFormatError';
+  }
+}
+
+/**
+ * Check one annotation from the exchange format.
+ * @param {Object} annotation
+ * @param {number} index - Position in the file, for error messages.
+ * @throws {AnnotationFormatError} If a field is missing or invalid.
+ */
+function validateAnnotation(annotation, index) {
+  const where = `Annotation ${index}`;
+  if (!annotation || typeof annotation !== 'object') {
+    throw new AnnotationFormatError(`${where} is not an object`);
+  }
+
+  const type = ANNOTATION_TYPES[annotation.type];
+  if (!type) {
+    throw new AnnotationFormatError(`${where} has unknown type: ${annotation.type}`);
+  }
+  if (typeof annotation.series !== 'string' || annotation.series === '') {
+    throw new AnnotationFormatError(`${where} has no series`);
+  }
+  if (!Number.isInteger(annotation.slice) || annotation.slice < 0) {
+    throw new AnnotationFormatError(`${where} has invalid slice: ${annotation.slice}`);
+  }
+
+  const points = annotation.points;
+  if (!Array.isArray(points) || !points.every(p => p && Number.isFinite(p.x) && Number.isFinite(p.y))) {
+    throw new AnnotationFormatError(`${where} has invalid points`);
+  }
+  if (type.points !== undefined ? points.length !== type.points : points.length < type.minPoints) {
+    throw new AnnotationFormatError(`${where}: ${type.label} has ${points.length} point(s)`);
+  }
+  if (annotation.type === 'text' && (typeof annotation.text !== 'string' || annotation.text.trim() === '')) {
+    throw new AnnotationFormatError(`${where}: Text annotation has no text`);
+  }
+}
+
+/**
+ * Annotations keyed by series and slice, persisted to a Storage (localStorage).
+ */
+class AnnotationStore {
+  /**
+   * @param {Storage|null} [storage] - Where to save; null keeps annotations in memory only.
+   * @param {string} [storageKey]
+   */
+  constructor(storage = null, storageKey = ANNOTATION_STORAGE_KEY) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.annotations = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * @param {string} series
+   * @param {number} slice
+   * @returns {Array<{id: number, series: string, slice: number, type: string, points: Array, text?: string}>}
+   */
+  list(series, slice) {
+    return this.annotations.filter(a => a.series === series && a.slice === slice);
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.annotations.find(a => a.id === id) || null;
+  }
+
+  /**
+   * Add an annotation and save.
+   * @param {{series: string, slice: number, type: string, points: Array<{x: number, y: number}>, text?: string}} annotation
+   * @returns {Object} The stored annotation, with its id.
+   * @throws {AnnotationFormatError} If the annotation is invalid.
+   */
+  add(annotation) {
+    const stored = this.insert(annotation, this.annotations.length);
+    this.save();
+    return stored;
+  }
+
+  insert(annotation, index) {
+    validateAnnotation(annotation, index);
+    const stored = {
+      id: this.nextId++,
+      series: annotation.series,
+      slice: annotation.slice,
+      type: annotation.type,
+      points: annotation.points.map(p => ({ x: p.x, y: p.y }))
+    };
+    if (annotation.type === 'text') {
+      stored.text = annotation.text;
+    }
+    this.annotations.push(stored);
+    return stored;
+  }
+
+  /**
+   * Move one point of an annotation. Not saved, as it runs on every mousemove of a handle
+   * drag: call save() when the drag ends.
+   * @param {number} id
+   * @param {number} index - Point index.
+   * @param {{x: number, y: number}} point
+   * @returns {Object|null} The updated annotation, or null if it does not exist.
+   */
+  movePoint(id, index, point) {
+    const annotation = this.get(id);
+    if (!annotation || !annotation.points[index]) {
+      return null;
+    }
+    annotation.points[index] = { x: point.x, y: point.y };
+    return annotation;
+  }
+
+  /**
+   * @param {number} id
+   * @returns {boolean} Whether an annotation was removed.
+   */
+  remove(id) {
+    const count = this.annotations.length;
+    this.annotations = this.annotations.filter(a => a.id !== id);
+    if (this.annotations.length === count) {
+      return false;
+    }
+    this.save();
+    return true;
+  }
+
+  /**
+   * The store in the exchange format (ids are local and not exported).
+   * @returns {{format: string, version: number, annotations: Array}}
+   */
+  toJSON() {
+    return {
+      format: ANNOTATION_FORMAT,
+      version: ANNOTATION_FORMAT_VERSION,
+      annotations: this.annotations.map(({ id, ...annotation }) => annotation)
+    };
+  }
+
+  /**
+   * Add the annotations of an exchange-format document. Nothing is added if any
+   * annotation is invalid.
+   * @param {Object|string} data - Parsed document or its JSON text.
+   * @param {{replace?: boolean}} [options] - replace: drop the current annotations first.
+   * @returns {number} Number of annotations added.
+   * @throws {AnnotationFormatError} If the document is not in the exchange format.
+   */
+  importJSON(data, { replace = false } = {}) {
+    let parsed = data;
+    if (typeof data === 'string') {
+      try {
+        parsed = JSON.parse(data);
+      } catch (error) {
+        throw new AnnotationFormatError(`Not valid JSON: ${error.message}`);
+      }
+    }
+
+    if (!parsed || parsed.format !== ANNOTATION_FORMAT) {
+      throw new AnnotationFormatError(`Not an annotation file (format must be "${ANNOTATION_FORMAT}")`);
+    }
+    if (parsed.version !== ANNOTATION_FORMAT_VERSION) {
+      throw new AnnotationFormatError(`Unsupported annotation format version: ${parsed.version}`);
+    }
+    if (!Array.isArray(parsed.annotations)) {
+      throw new AnnotationFormatError('Annotation file has no annotations list');
+    }
+    parsed.annotations.forEach(validateAnnotation);
+
+    if (replace) {
+      this.annotations = [];
+    }
+    parsed.annotations.forEach((annotation, index) => this.insert(annotation, index));
+    this.save();
+    return parsed.annotations.length;
+  }
+
+  /**
+   * Write the store to its Storage.
+   */
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(this.toJSON()));
+    } catch (error) {
+      // Quota exceeded or storage disabled (e.g. private browsing)
+      console.warn('⚠️ Could not save annotations:', error);
+    }
+  }
+
+  /**
+   * Replace the annotations with those saved in its Storage.
+   * @returns {number} Number of annotations loaded.
+   */
+  load() {
+    if (!this.storage) return 0;
+    const saved = this.storage.getItem(this.storageKey);
+    if (!saved) return 0;
+    try {
+      return this.importJSON(saved, { replace: true });
+    } catch (error) {
+      console.error('Saved annotations could not be read, starting empty:', error.message);
+      return 0;
+    }
+  }
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ANNOTATION_FORMAT,
+    ANNOTATION_FORMAT_VERSION,
+    ANNOTATION_STORAGE_KEY,
+    ANNOTATION_TYPES,
+    AnnotationFormatError,
+    validateAnnotation,
+    AnnotationStore
+  };
+} else {
+  window.Annotations = {
+    ANNOTATION_FORMAT,
+    ANNOTATION_FORMAT_VERSION,
+    ANNOTATION_STORAGE_KEY,
+    ANNOTATION_TYPES,
+    AnnotationFormatError,
+    validateAnnotation,
+    AnnotationStore
+  };
+}
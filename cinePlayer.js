@@ -0,0 +1,143 @@
+/**
+ * Cine Player
+ * Plays a viewport's slices as a movie. Only slices that are already loaded are
+ * shown: slices still downloading are skipped, and playback waits in place while
+ * nothing ahead is ready, so cine never stalls on the network.
+ */
+
+const CINE_MODES = ['loop', 'bounce'];
+const CINE_MIN_FPS = 1;
+const CINE_MAX_FPS = 30;
+
+/**
+ * Next slice to show.
+ * @param {number} current - Slice shown now.
+ * @param {number} direction - 1 (forward) or -1 (backward).
+ * @param {number} maxSlice - Highest slice index.
+ * @param {string} mode - 'loop' wraps at the ends; 'bounce' reverses direction.
+ * @param {function(number): boolean} isReady - Whether a slice can be shown without loading.
+ * @returns {{slice: number, direction: number}|null} The next ready slice and the direction
+ *   to keep playing in, or null if no other slice is ready.
+ */
+function getNextCineSlice(current, direction, maxSlice, mode, isReady) {
+  let slice = current;
+  let dir = direction;
+  // Loop visits every slice once; bounce may pass each slice twice before coming back
+  for (let step = 0; step < 2 * (maxSlice + 1); step++) {
+    let next = slice + dir;
+    if (next < 0 || next > maxSlice) {
+      if (mode === 'bounce') {
+        dir = -dir;
+        next = slice + dir;
+      } else {
+        next = next > maxSlice ? 0 : maxSlice;
+      }
+    }
+    if (next < 0 || next > maxSlice) {
+      return null;
+    }
+    slice = next;
+    if (slice !== current && isReady(slice)) {
+      return { slice, direction: dir };
+    }
+  }
+  return null;
+}
+
+/**
+ * Plays one viewport.
+ */
+class CinePlayer {
+  /**
+   * @param {Object} options
+   * @param {function(): number} options.getSlice - Slice shown now.
+   * @param {function(): number} options.getMaxSlice - Highest slice index.
+   * @param {function(number): boolean} options.isSliceReady - Whether a slice is loaded.
+   * @param {function(number): void} options.showSlice - Display a slice.
+   * @param {function(boolean): void} [options.onStateChange] - Called with `playing` on play/pause.
+   * @param {number} [options.fps=8]
+   * @param {string} [options.mode='loop'] - See CINE_MODES.
+   */
+  constructor({ getSlice, getMaxSlice, isSliceReady, showSlice, onStateChange = () => {}, fps = 8, mode = 'loop' }) {
+    this.getSlice = getSlice;
+    this.getMaxSlice = getMaxSlice;
+    this.isSliceReady = isSliceReady;
+    this.showSlice = showSlice;
+    this.onStateChange = onStateChange;
+    this.fps = 8;
+    this.mode = 'loop';
+    this.direction = 1;
+    this.timer = null;
+    this.setFps(fps);
+    this.setMode(mode);
+  }
+
+  get isPlaying() {
+    return this.timer !== null;
+  }
+
+  play() {
+    if (this.isPlaying) return;
+    this.timer = setInterval(() => this.tick(), 1000 / this.fps);
+    this.onStateChange(true);
+  }
+
+  pause() {
+    if (!this.isPlaying) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.onStateChange(false);
+  }
+
+  toggle() {
+    if (this.isPlaying) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * @param {number} fps - Clamped to CINE_MIN_FPS..CINE_MAX_FPS.
+   */
+  setFps(fps) {
+    const value = Number(fps);
+    if (!Number.isFinite(value)) {
+      console.warn(`Ignoring cine fps: ${fps}`);
+      return;
+    }
+    this.fps = Math.max(CINE_MIN_FPS, Math.min(CINE_MAX_FPS, value));
+    if (this.isPlaying) {
+      clearInterval(this.timer);
+      this.timer = setInterval(() => this.tick(), 1000 / this.fps);
+    }
+  }
+
+  /**
+   * @param {string} mode - 'loop' or 'bounce'.
+   */
+  setMode(mode) {
+    if (!CINE_MODES.includes(mode)) {
+      console.warn(`Ignoring cine mode: ${mode}`);
+      return;
+    }
+    this.mode = mode;
+  }
+
+  /**
+   * Advance one frame, skipping slices that are not loaded yet.
+   */
+  tick() {
+    const next = getNextCineSlice(this.getSlice(), this.direction, this.getMaxSlice(), this.mode, this.isSliceReady);
+    if (!next) return;
+    this.direction = next.direction;
+    this.showSlice(next.slice);
+  }
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CINE_MODES, CINE_MIN_FPS, CINE_MAX_FPS, getNextCineSlice, CinePlayer };
+} else {
+  window.Cine = { CINE_MODES, CINE_MIN_FPS, CINE_MAX_FPS, getNextCineSlice, CinePlayer };
+}
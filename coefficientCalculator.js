@@ -0,0 +1,130 @@
+/**
+ * Correlation Coefficient Calculator
+ * Derives the a, b, c coefficients for every plane pair from acquisition geometry,
+ * following the "Calc" sheet of Parameters (2).xlsx.
+ *
+ * For each pair the source image is measured along the axis that crosses the
+ * target slices (all distances in mm, measured in the source image):
+ *   FOV - field of view of the source image
+ *   A0  - position of the first target slice at one image edge
+ *   B0  - position of the last target slice at the same edge
+ *   A1  - position of the first target slice at the opposite edge (captures tilt)
+ *   NSl - index of the last target slice (slices run 0..NSl)
+ *
+ * With A0, B0, A1 divided by FOV:
+ *   a = NSl / (B0 - A0),  b = a * (A0 - A1),  c = a * A0
+ * which plugs into: Slice number = a * y + b * x - c
+ */
+
+/**
+ * The six plane pairs, keyed the way handleViewportClick looks them up
+ * (`<clicked plane>_to_<calculated plane>`).
+ *
+ * `orientation` says how the target slices cross the source image:
+ * - 'parallel_to_x': target slices are horizontal lines, so the slice varies with y
+ * - 'parallel_to_y': target slices are vertical lines, so the slice varies with x
+ */
+const PLANE_PAIRS = {
+  axial_to_sagittal: { source: 'axial', target: 'sagittal', label: 'Ssag(Ax)', orientation: 'parallel_to_y' },
+  coronal_to_sagittal: { source: 'coronal', target: 'sagittal', label: 'Ssag(Cor)', orientation: 'parallel_to_y' },
+  sagittal_to_axial: { source: 'sagittal', target: 'axial', label: 'Sax(Sag)', orientation: 'parallel_to_x' },
+  coronal_to_axial: { source: 'coronal', target: 'axial', label: 'Sax(Cor)', orientation: 'parallel_to_x' },
+  sagittal_to_coronal: { source: 'sagittal', target: 'coronal', label: 'Scor(Sag)', orientation: 'parallel_to_y' },
+  axial_to_coronal: { source: 'axial', target: 'coronal', label: 'Scor(Ax)', orientation: 'parallel_to_x' }
+};
+
+/**
+ * Calculate the coefficients for one plane pair.
+ * @param {Object} geometry - Geometry measured in the source image.
+ * @param {number} geometry.fov - Field of view in mm.
+ * @param {number} geometry.a0 - First slice position at one edge, in mm.
+ * @param {number} geometry.b0 - Last slice position at the same edge, in mm.
+ * @param {number} geometry.a1 - First slice position at the opposite edge, in mm.
+ * @param {number} geometry.slices - Index of the last slice (NSl).
+ * @param {string} [orientation='parallel_to_x'] - 'parallel_to_x' or 'parallel_to_y'.
+ * @returns {{a: number, b: number, c: number}} Coefficients for a * y + b * x - c.
+ */
+function calculatePairCoefficients(geometry, orientation = 'parallel_to_x') {
+  const { fov, a0, b0, a1, slices } = geometry;
+
+  for (const [name, value] of Object.entries({ fov, a0, b0, a1, slices })) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`Geometry value "${name}" must be a finite number, got: ${value}`);
+    }
+  }
+  if (fov <= 0) {
+    throw new Error(`FOV must be positive, got: ${fov}`);
+  }
+  if (b0 === a0) {
+    throw new Error('A0 and B0 must differ: first and last slice cannot be at the same position');
+  }
+  if (orientation !== 'parallel_to_x' && orientation !== 'parallel_to_y') {
+    throw new Error(`Unknown slice orientation: ${orientation}`);
+  }
+
+  // Normalise positions to the 0-1 image coordinate range
+  const a0Norm = a0 / fov;
+  const b0Norm = b0 / fov;
+  const a1Norm = a1 / fov;
+
+  // "Calc" sheet: slope across the stack, tilt between the two edges, offset of slice 0
+  const slope = slices / (b0Norm - a0Norm);
+  const tilt = slope * (a0Norm - a1Norm);
+  const offset = slope * a0Norm;
+
+  // Slices parallel to y vary with x, so the two terms swap places in a * y + b * x - c
+  if (orientation === 'parallel_to_y') {
+    return { a: tilt, b: slope, c: offset };
+  }
+  return { a: slope, b: tilt, c: offset };
+}
+
+/**
+ * Calculate all six coefficient sets from per-pair geometry.
+ * @param {Object} pairGeometry - Geometry keyed like PLANE_PAIRS, e.g.
+ *   `{ axial_to_sagittal: { fov: 106, a0: -22.5, b0: 87.8, a1: 41.9, slices: 20 }, ... }`.
+ *   Each entry may set `orientation` to override the pair's default.
+ * @returns {Object} Coefficient sets keyed like PLANE_PAIRS.
+ */
+function calculateCoefficientsFromGeometry(pairGeometry) {
+  const coefficients = {};
+
+  for (const [key, pair] of Object.entries(PLANE_PAIRS)) {
+    const geometry = pairGeometry[key];
+    if (!geometry) {
+      throw new Error(`Missing geometry for ${pair.label} (${key})`);
+    }
+    try {
+      coefficients[key] = calculatePairCoefficients(geometry, geometry.orientation || pair.orientation);
+    } catch (error) {
+      throw new Error(`${pair.label}: ${error.message}`);
+    }
+  }
+
+  return coefficients;
+}
+
+/**
+ * Build a region profile from geometry, ready for MRIViewportManager.registerRegionProfile.
+ * @param {string} region - Region id, e.g. 'shoulder'.
+ * @param {Object} pairGeometry - Geometry keyed like PLANE_PAIRS.
+ * @returns {{coefficients: Object, metadata: Object}}
+ */
+function buildRegionProfileFromGeometry(region, pairGeometry) {
+  return {
+    coefficients: calculateCoefficientsFromGeometry(pairGeometry),
+    metadata: {
+      formula: 'slice = a * y + b * x - c',
+      anatomical_region: region,
+      source: 'Calculated from acquisition geometry',
+      geometry: pairGeometry
+    }
+  };
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PLANE_PAIRS, calculatePairCoefficients, calculateCoefficientsFromGeometry, buildRegionProfileFromGeometry };
+} else {
+  window.CoefficientCalculator = { PLANE_PAIRS, calculatePairCoefficients, calculateCoefficientsFromGeometry, buildRegionProfileFromGeometry };
+}
@@ -0,0 +1,615 @@
+/**
+ * Correlation Engine
+ * The single implementation of the cross-sectional slice formula, shared by
+ * MRIViewer (mri-viewer.js), MRIViewportManager and MRIViewportComponent.jsx.
+ *
+ * All functions are pure: they take coordinates and coefficients and return numbers.
+ */
+
+/**
+ * The convention every coefficient table must be written in. Files declare the
+ * convention they use under a top-level `convention` key; anything that differs
+ * from this object is rejected rather than silently producing different slices.
+ */
+const CORRELATION_CONVENTION = Object.freeze({
+  version: 1,
+  formula: 'slice = a * y + b * x - c',
+  x_axis: 'left_to_right',    // x = 0 at the left edge of the image, 1 at the right
+  y_axis: 'bottom_to_top',    // y = 0 at the bottom edge of the image, 1 at the top
+  c_sign: 'subtract',         // c is subtracted, as in the Parameters workbook
+  key_direction: 'source_to_target' // 'axial_to_sagittal' = click in axial, calculate sagittal
+});
+
+const PLANES = ['sagittal', 'axial', 'coronal'];
+
+const PLANE_ABBREVIATIONS = {
+  sagittal: { short: 'sag', title: 'Sag' },
+  axial: { short: 'ax', title: 'Ax' },
+  coronal: { short: 'cor', title: 'Cor' }
+};
+
+/**
+ * Colour for each plane's reference lines and viewport frame, so a line can be
+ * matched to the viewport whose slice it shows.
+ */
+const PLANE_COLORS = {
+  sagittal: '#ffeb3b',
+  axial: '#f44336',
+  coronal: '#4caf50'
+};
+
+const SIDES = ['right', 'left'];
+
+/**
+ * Side the coefficient tables were measured on, unless a profile's metadata
+ * sets `reference_side`.
+ */
+const DEFAULT_REFERENCE_SIDE = 'right';
+
+/**
+ * Planes whose horizontal image axis runs across the patient (left-right).
+ * A study of the opposite side shows these mirrored; sagittal images are not.
+ */
+const LATERAL_PLANES = ['axial', 'coronal'];
+
+/**
+ * Raised when a coefficient table declares a convention other than CORRELATION_CONVENTION.
+ */
+class CorrelationConventionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CorrelationConventionError';
+  }
+}
+
+/**
+ * Check a declared convention against CORRELATION_CONVENTION.
+ * @param {Object} declared - The `convention` object from a coefficient file.
+ * @throws {CorrelationConventionError} If the convention is missing or differs.
+ */
+function validateConvention(declared) {
+  if (!declared || typeof declared !== 'object') {
+    throw new CorrelationConventionError(
+      `Coefficient data does not declare a convention (expected version ${CORRELATION_CONVENTION.version})`
+    );
+  }
+  for (const [field, expected] of Object.entries(CORRELATION_CONVENTION)) {
+    if (declared[field] !== expected) {
+      throw new CorrelationConventionError(
+        `Coefficient data uses ${field} "${declared[field]}", expected "${expected}"`
+      );
+    }
+  }
+}
+
+/**
+ * Validate a correlation tables file and return its region profiles.
+ * @param {Object} tables - Parsed correlationTables.json.
+ * @returns {Object} Profiles keyed by region id, e.g. `{ shoulder: { coefficients, metadata } }`.
+ * @throws {CorrelationConventionError} If the file declares a different convention.
+ */
+function parseCorrelationTables(tables) {
+  validateConvention(tables && tables.convention);
+
+  const profiles = {};
+  for (const [key, profile] of Object.entries(tables)) {
+    const match = key.match(/^(.+)_correlations$/);
+    if (match && profile && profile.coefficients) {
+      profiles[match[1]] = profile;
+    }
+  }
+  return profiles;
+}
+
+/**
+ * Coefficient key for a plane pair.
+ * @param {string} sourcePlane - The clicked plane.
+ * @param {string} targetPlane - The plane whose slice is calculated.
+ * @returns {string} e.g. 'axial_to_sagittal'.
+ */
+function getCoefficientKey(sourcePlane, targetPlane) {
+  return `${sourcePlane}_to_${targetPlane}`;
+}
+
+/**
+ * Workbook label for a plane pair.
+ * @param {string} sourcePlane - The clicked plane.
+ * @param {string} targetPlane - The plane whose slice is calculated.
+ * @returns {string} e.g. 'Ssag(Ax)'.
+ */
+function getPairLabel(sourcePlane, targetPlane) {
+  return `S${PLANE_ABBREVIATIONS[targetPlane].short}(${PLANE_ABBREVIATIONS[sourcePlane].title})`;
+}
+
+/**
+ * Convert a click in rendered pixels to convention coordinates (0-1, y from the bottom).
+ * @param {number} x - Click x relative to the image's left edge.
+ * @param {number} y - Click y relative to the image's top edge.
+ * @param {number} width - Rendered image width.
+ * @param {number} height - Rendered image height.
+ * @returns {{x: number, y: number}}
+ */
+function normalizeClick(x, y, width, height) {
+  return {
+    x: x / width,
+    y: (height - y) / height
+  };
+}
+
+/**
+ * Convert convention coordinates back to rendered pixels (y from the top).
+ * @param {number} x - Normalised x (0-1).
+ * @param {number} y - Normalised y (0-1, from the bottom).
+ * @param {number} width - Rendered image width.
+ * @param {number} height - Rendered image height.
+ * @returns {{x: number, y: number}}
+ */
+function denormalizePoint(x, y, width, height) {
+  return {
+    x: x * width,
+    y: (1 - y) * height
+  };
+}
+
+/**
+ * Where an image is drawn when fitted inside a viewport with its aspect ratio kept
+ * (CSS `object-fit: contain`). The rest of the viewport is letterbox.
+ * @param {number} naturalWidth - Image width in its own pixels (0 or missing: unknown).
+ * @param {number} naturalHeight - Image height in its own pixels (0 or missing: unknown).
+ * @param {number} width - Viewport width.
+ * @param {number} height - Viewport height.
+ * @returns {{x: number, y: number, width: number, height: number}} Image rectangle in viewport
+ *   units (y from the top). The whole viewport when the image size is unknown.
+ */
+function fitImageRect(naturalWidth, naturalHeight, width, height) {
+  if (!naturalWidth || !naturalHeight) {
+    return { x: 0, y: 0, width, height };
+  }
+  const scale = Math.min(width / naturalWidth, height / naturalHeight);
+  const fittedWidth = naturalWidth * scale;
+  const fittedHeight = naturalHeight * scale;
+  return {
+    x: (width - fittedWidth) / 2,
+    y: (height - fittedHeight) / 2,
+    width: fittedWidth,
+    height: fittedHeight
+  };
+}
+
+/**
+ * Convert a click in viewport pixels to convention coordinates within the image rectangle.
+ * @param {number} x - Click x relative to the viewport's left edge.
+ * @param {number} y - Click y relative to the viewport's top edge.
+ * @param {{x: number, y: number, width: number, height: number}} rect - Image rectangle
+ *   (see fitImageRect).
+ * @returns {{x: number, y: number}|null} Normalised point, or null for a letterbox click.
+ */
+function normalizeClickInRect(x, y, rect) {
+  const imageX = x - rect.x;
+  const imageY = y - rect.y;
+  if (imageX < 0 || imageX > rect.width || imageY < 0 || imageY > rect.height) {
+    return null;
+  }
+  return normalizeClick(imageX, imageY, rect.width, rect.height);
+}
+
+/**
+ * Map a normalised x between the displayed study side and the side the
+ * coefficients were measured on. Mirroring is its own inverse, so the same
+ * call maps back from the reference side to the display.
+ * @param {number} x - Normalised x (0-1).
+ * @param {string} plane - Plane the x coordinate belongs to.
+ * @param {string} side - Side of the study being viewed: 'right' or 'left'.
+ * @param {string} [referenceSide=DEFAULT_REFERENCE_SIDE] - Side of the coefficient tables.
+ * @returns {number}
+ */
+function mirrorForSide(x, plane, side, referenceSide = DEFAULT_REFERENCE_SIDE) {
+  if (side !== referenceSide && LATERAL_PLANES.includes(plane)) {
+    return 1 - x;
+  }
+  return x;
+}
+
+/**
+ * Edge labels for a viewport. Lateral planes show lateral/medial on the
+ * horizontal edges, which swap with the side; sagittal shows anterior/posterior.
+ * @param {string} plane - 'sagittal', 'axial' or 'coronal'.
+ * @param {string} side - 'right' or 'left'.
+ * @returns {{left: string, right: string, top: string, bottom: string}}
+ */
+function getOrientationLabels(plane, side) {
+  if (plane === 'sagittal') {
+    return { left: 'A', right: 'P', top: 'S', bottom: 'I' };
+  }
+
+  // Radiological display: a right-sided study has its lateral edge on the screen left
+  const horizontal = side === 'left'
+    ? { left: 'Med', right: 'Lat' }
+    : { left: 'Lat', right: 'Med' };
+  const vertical = plane === 'axial'
+    ? { top: 'A', bottom: 'P' }
+    : { top: 'S', bottom: 'I' };
+  return { ...horizontal, ...vertical };
+}
+
+/**
+ * Evaluate the formula without rounding: a * y + b * x - c.
+ * @param {{a: number, b: number, c: number}} coefficients
+ * @param {number} x - Normalised x (0-1).
+ * @param {number} y - Normalised y (0-1, from the bottom).
+ * @returns {number}
+ */
+function evaluateFormula(coefficients, x, y) {
+  return coefficients.a * y + coefficients.b * x - coefficients.c;
+}
+
+/**
+ * Calculate a slice number: evaluate, round to the nearest integer, clamp to 0..maxSlice.
+ * @param {{a: number, b: number, c: number}} coefficients
+ * @param {number} x - Normalised x (0-1).
+ * @param {number} y - Normalised y (0-1, from the bottom).
+ * @param {number} maxSlice - Highest valid slice index.
+ * @returns {number}
+ */
+function calculateSlice(coefficients, x, y, maxSlice) {
+  const rounded = Math.round(evaluateFormula(coefficients, x, y));
+  return Math.max(0, Math.min(maxSlice, rounded));
+}
+
+/**
+ * Correlate a click in one plane to slices in the other two.
+ * @param {Object} coefficients - Coefficient sets keyed 'source_to_target'.
+ * @param {string} sourcePlane - The clicked plane.
+ * @param {number} x - Normalised x (0-1).
+ * @param {number} y - Normalised y (0-1, from the bottom).
+ * @param {Object} maxSlices - Highest valid slice index per plane.
+ * @returns {Array<{target: string, key: string, label: string, coefficients: Object, raw: number, slice: number}>}
+ */
+function correlateClick(coefficients, sourcePlane, x, y, maxSlices) {
+  if (!PLANES.includes(sourcePlane)) {
+    throw new Error(`Unknown source plane: ${sourcePlane}`);
+  }
+
+  return PLANES.filter(plane => plane !== sourcePlane).map(target => {
+    const key = getCoefficientKey(sourcePlane, target);
+    const coeff = coefficients[key];
+    if (!coeff) {
+      throw new Error(`Missing coefficients for ${getPairLabel(sourcePlane, target)} (${key})`);
+    }
+    return {
+      target,
+      key,
+      label: getPairLabel(sourcePlane, target),
+      coefficients: coeff,
+      raw: evaluateFormula(coeff, x, y),
+      slice: calculateSlice(coeff, x, y, maxSlices[target])
+    };
+  });
+}
+
+/**
+ * Inverse of the formula: the line in the clicked plane's image along which
+ * clicks give `slice`, i.e. where that slice of the target plane cuts the image.
+ * Solves a * y + b * x - c = slice and clips the line to the unit square.
+ * @param {{a: number, b: number, c: number}} coefficients - Source-to-target coefficients.
+ * @param {number} slice - Slice index in the target plane.
+ * @returns {{x1: number, y1: number, x2: number, y2: number}|null} Normalised
+ *   endpoints (y from the bottom), or null if the slice does not cross the image.
+ */
+function getSliceLine(coefficients, slice) {
+  const { a, b } = coefficients;
+  const k = slice + coefficients.c; // b * x + a * y = k
+  const epsilon = 1e-9;
+  const inRange = value => value >= -epsilon && value <= 1 + epsilon;
+  const clamp = value => Math.max(0, Math.min(1, value));
+
+  const points = [];
+  const addPoint = (x, y) => {
+    if (!inRange(x) || !inRange(y)) return;
+    const point = { x: clamp(x), y: clamp(y) };
+    if (!points.some(p => Math.abs(p.x - point.x) < 1e-6 && Math.abs(p.y - point.y) < 1e-6)) {
+      points.push(point);
+    }
+  };
+
+  if (Math.abs(a) > epsilon) {
+    addPoint(0, k / a);           // left edge
+    addPoint(1, (k - b) / a);     // right edge
+  }
+  if (Math.abs(b) > epsilon) {
+    addPoint(k / b, 0);           // bottom edge
+    addPoint((k - a) / b, 1);     // top edge
+  }
+  if (points.length < 2) {
+    return null;
+  }
+
+  // A line through a corner can meet three edges; keep the two points furthest apart
+  let best = [points[0], points[1]];
+  let bestLength = -1;
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      const length = Math.hypot(points[i].x - points[j].x, points[i].y - points[j].y);
+      if (length > bestLength) {
+        bestLength = length;
+        best = [points[i], points[j]];
+      }
+    }
+  }
+  return { x1: best[0].x, y1: best[0].y, x2: best[1].x, y2: best[1].y };
+}
+
+/**
+ * Point where two slice lines cross in the same image.
+ * @param {{coefficients: Object, slice: number}} first
+ * @param {{coefficients: Object, slice: number}} second
+ * @returns {{x: number, y: number}|null} Normalised point (y from the bottom; may fall
+ *   outside 0-1), or null if the lines are parallel.
+ */
+function getSliceIntersection(first, second) {
+  const { a: a1, b: b1 } = first.coefficients;
+  const { a: a2, b: b2 } = second.coefficients;
+  const k1 = first.slice + first.coefficients.c;
+  const k2 = second.slice + second.coefficients.c;
+
+  const determinant = b1 * a2 - a1 * b2;
+  if (Math.abs(determinant) < 1e-9) {
+    return null;
+  }
+  return {
+    x: (k1 * a2 - a1 * k2) / determinant,
+    y: (b1 * k2 - k1 * b2) / determinant
+  };
+}
+
+/**
+ * Locate the other two planes' current slices in one plane's image: the line each
+ * slice cuts through it, and the point where the two lines cross.
+ * @param {Object} coefficients - Coefficient sets keyed 'source_to_target'.
+ * @param {string} viewPlane - The plane whose image the lines are drawn on.
+ * @param {Object} slices - Current slice index per plane.
+ * @returns {{lines: Array<{target: string, key: string, label: string, coefficients: Object, slice: number, line: Object|null}>, intersection: {x: number, y: number}|null}}
+ */
+function locateSlices(coefficients, viewPlane, slices) {
+  if (!PLANES.includes(viewPlane)) {
+    throw new Error(`Unknown plane: ${viewPlane}`);
+  }
+
+  const lines = PLANES.filter(plane => plane !== viewPlane).map(target => {
+    const key = getCoefficientKey(viewPlane, target);
+    const coeff = coefficients[key];
+    if (!coeff) {
+      throw new Error(`Missing coefficients for ${getPairLabel(viewPlane, target)} (${key})`);
+    }
+    return {
+      target,
+      key,
+      label: getPairLabel(viewPlane, target),
+      coefficients: coeff,
+      slice: slices[target],
+      line: getSliceLine(coeff, slices[target])
+    };
+  });
+
+  return {
+    lines,
+    intersection: getSliceIntersection(lines[0], lines[1])
+  };
+}
+
+/**
+ * Normal of a slice plane: row direction × column direction.
+ * @param {number[]} orientation - ImageOrientationPatient (6 direction cosines).
+ * @returns {number[]|null}
+ */
+function getSliceNormal(orientation) {
+  if (!Array.isArray(orientation) || orientation.length !== 6) {
+    return null;
+  }
+  const [rx, ry, rz, cx, cy, cz] = orientation;
+  return [ry * cz - rz * cy, rz * cx - rx * cz, rx * cy - ry * cx];
+}
+
+/**
+ * Whether a slice carries the DICOM geometry needed for patient coordinates:
+ * imagePositionPatient, imageOrientationPatient, pixelSpacing, rows and columns.
+ * @param {Object} slice
+ * @returns {boolean}
+ */
+function hasSliceGeometry(slice) {
+  return Boolean(slice) &&
+    Array.isArray(slice.imagePositionPatient) && slice.imagePositionPatient.length === 3 &&
+    Array.isArray(slice.imageOrientationPatient) && slice.imageOrientationPatient.length === 6 &&
+    Array.isArray(slice.pixelSpacing) && slice.pixelSpacing.length === 2 &&
+    slice.rows > 0 && slice.columns > 0;
+}
+
+/**
+ * Map a point in a slice image to patient coordinates (mm).
+ * @param {Object} slice - Slice with DICOM geometry (see hasSliceGeometry).
+ * @param {number} x - Normalised x (0-1, from the left edge).
+ * @param {number} y - Normalised y (0-1, from the bottom).
+ * @returns {number[]} [x, y, z] in the patient coordinate system.
+ */
+function imageToPatient(slice, x, y) {
+  const [rowSpacing, columnSpacing] = slice.pixelSpacing;
+  const rowDirection = slice.imageOrientationPatient.slice(0, 3);
+  const columnDirection = slice.imageOrientationPatient.slice(3, 6);
+
+  // Pixel indices are measured to pixel centres, from the top-left pixel
+  const column = x * slice.columns - 0.5;
+  const row = (1 - y) * slice.rows - 0.5;
+
+  return slice.imagePositionPatient.map((origin, axis) =>
+    origin + rowDirection[axis] * column * columnSpacing + columnDirection[axis] * row * rowSpacing
+  );
+}
+
+/**
+ * Slice in a series nearest to a patient-space point, measured along the series' normal.
+ * @param {Object[]} series - Slices with DICOM geometry, in display order.
+ * @param {number[]} point - [x, y, z] in mm.
+ * @returns {{slice: number, distance: number}} Slice index and its distance from the point in mm.
+ */
+function findNearestSlice(series, point) {
+  const normal = getSliceNormal(series[0].imageOrientationPatient);
+  const project = vector => vector[0] * normal[0] + vector[1] * normal[1] + vector[2] * normal[2];
+  const target = project(point);
+
+  let nearest = { slice: 0, distance: Infinity };
+  series.forEach((slice, index) => {
+    const distance = Math.abs(project(slice.imagePositionPatient) - target);
+    if (distance < nearest.distance) {
+      nearest = { slice: index, distance };
+    }
+  });
+  return nearest;
+}
+
+/**
+ * Correlate a click using DICOM geometry instead of coefficients: map it to a
+ * patient-space point, then pick the nearest slice in each other series.
+ * @param {Object} seriesByPlane - Slices with geometry per plane, e.g. `{ sagittal: [...], ... }`.
+ * @param {string} sourcePlane - The clicked plane.
+ * @param {number} sourceSlice - Index of the slice that was clicked.
+ * @param {number} x - Normalised x of the click as displayed (0-1).
+ * @param {number} y - Normalised y of the click (0-1, from the bottom).
+ * @returns {{point: number[], results: Array<{target: string, slice: number, distance: number}>}|null}
+ *   Null when any series involved lacks geometry, so callers can fall back to coefficients.
+ */
+function correlateByGeometry(seriesByPlane, sourcePlane, sourceSlice, x, y) {
+  if (!seriesByPlane || !PLANES.includes(sourcePlane)) {
+    return null;
+  }
+
+  const source = seriesByPlane[sourcePlane] && seriesByPlane[sourcePlane][sourceSlice];
+  const targets = PLANES.filter(plane => plane !== sourcePlane);
+  const complete = series => Array.isArray(series) && series.length > 0 && series.every(hasSliceGeometry);
+  if (!hasSliceGeometry(source) || !targets.every(plane => complete(seriesByPlane[plane]))) {
+    return null;
+  }
+
+  const point = imageToPatient(source, x, y);
+  return {
+    point,
+    results: targets.map(target => ({ target, ...findNearestSlice(seriesByPlane[target], point) }))
+  };
+}
+
+/**
+ * Locate the other two planes' current slices in one plane's image from DICOM geometry.
+ * Each target slice plane is intersected with the displayed slice; the result has the
+ * same shape as locateSlices, in display coordinates (no side mirroring applies).
+ * @param {Object} seriesByPlane - Slices with geometry per plane.
+ * @param {string} viewPlane - The plane whose image the lines are drawn on.
+ * @param {Object} slices - Current slice index per plane.
+ * @returns {{lines: Array, intersection: {x: number, y: number}|null}|null} Null without geometry.
+ */
+function locateSlicesByGeometry(seriesByPlane, viewPlane, slices) {
+  const series = plane => seriesByPlane && seriesByPlane[plane];
+  const view = series(viewPlane) && series(viewPlane)[slices[viewPlane]];
+  const targets = PLANES.filter(plane => plane !== viewPlane);
+  if (!hasSliceGeometry(view) || !targets.every(plane => series(plane) && hasSliceGeometry(series(plane)[slices[plane]]))) {
+    return null;
+  }
+
+  // Signed distance from a target slice plane is linear in the view's (x, y):
+  // d = b * x + a * y - c, so the slice line is where it equals 0
+  const origin = imageToPatient(view, 0, 0);
+  const alongX = imageToPatient(view, 1, 0).map((value, axis) => value - origin[axis]);
+  const alongY = imageToPatient(view, 0, 1).map((value, axis) => value - origin[axis]);
+  const dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+
+  const lines = targets.map(target => {
+    const targetSlice = series(target)[slices[target]];
+    const normal = getSliceNormal(targetSlice.imageOrientationPatient);
+    const coefficients = {
+      a: dot(normal, alongY),
+      b: dot(normal, alongX),
+      c: dot(normal, targetSlice.imagePositionPatient) - dot(normal, origin)
+    };
+    return {
+      target,
+      key: getCoefficientKey(viewPlane, target),
+      label: getPairLabel(viewPlane, target),
+      coefficients,
+      slice: slices[target],
+      line: getSliceLine(coefficients, 0)
+    };
+  });
+
+  return {
+    lines,
+    intersection: getSliceIntersection(
+      { coefficients: lines[0].coefficients, slice: 0 },
+      { coefficients: lines[1].coefficients, slice: 0 }
+    )
+  };
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CORRELATION_CONVENTION,
+    PLANES,
+    PLANE_COLORS,
+    SIDES,
+    DEFAULT_REFERENCE_SIDE,
+    LATERAL_PLANES,
+    CorrelationConventionError,
+    validateConvention,
+    parseCorrelationTables,
+    getCoefficientKey,
+    getPairLabel,
+    normalizeClick,
+    denormalizePoint,
+    fitImageRect,
+    normalizeClickInRect,
+    mirrorForSide,
+    getOrientationLabels,
+    evaluateFormula,
+    calculateSlice,
+    correlateClick,
+    getSliceLine,
+    getSliceIntersection,
+    locateSlices,
+    getSliceNormal,
+    hasSliceGeometry,
+    imageToPatient,
+    findNearestSlice,
+    correlateByGeometry,
+    locateSlicesByGeometry
+  };
+} else {
+  window.CorrelationEngine = {
+    CORRELATION_CONVENTION,
+    PLANES,
+    PLANE_COLORS,
+    SIDES,
+    DEFAULT_REFERENCE_SIDE,
+    LATERAL_PLANES,
+    CorrelationConventionError,
+    validateConvention,
+    parseCorrelationTables,
+    getCoefficientKey,
+    getPairLabel,
+    normalizeClick,
+    denormalizePoint,
+    fitImageRect,
+    normalizeClickInRect,
+    mirrorForSide,
+    getOrientationLabels,
+    evaluateFormula,
+    calculateSlice,
+    correlateClick,
+    getSliceLine,
+    getSliceIntersection,
+    locateSlices,
+    getSliceNormal,
+    hasSliceGeometry,
+    imageToPatient,
+    findNearestSlice,
+    correlateByGeometry,
+    locateSlicesByGeometry
+  };
+}
@@ -0,0 +1,429 @@
+/**
+ * DICOM Loader
+ * Parses uncompressed DICOM files in the browser and sorts them into
+ * sagittal/axial/coronal series by slice orientation.
+ *
+ * Supported: Implicit and Explicit VR Little Endian, monochrome 8/16-bit pixel data.
+ * Compressed transfer syntaxes are rejected with a DicomParseError.
+ */
+
+const TRANSFER_SYNTAXES = {
+  '1.2.840.10008.1.2': { name: 'Implicit VR Little Endian', explicitVR: false },
+  '1.2.840.10008.1.2.1': { name: 'Explicit VR Little Endian', explicitVR: true }
+};
+
+// Explicit VRs that use a reserved 2 bytes followed by a 4-byte length
+const LONG_LENGTH_VRS = ['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'SQ', 'SV', 'UC', 'UN', 'UR', 'UT', 'UV'];
+
+const UNDEFINED_LENGTH = 0xFFFFFFFF;
+const ITEM = 'FFFEE000';
+const ITEM_DELIMITATION = 'FFFEE00D';
+const SEQUENCE_DELIMITATION = 'FFFEE0DD';
+
+/**
+ * The attributes the viewer reads, with their VR for implicit-VR files.
+ * Keys are the tag as 'GGGGEEEE'.
+ */
+const DICOM_TAGS = {
+  '00020010': { name: 'transferSyntaxUID', vr: 'UI' },
+  '00080060': { name: 'modality', vr: 'CS' },
+  '0008103E': { name: 'seriesDescription', vr: 'LO' },
+  '00180015': { name: 'bodyPartExamined', vr: 'CS' },
+  '00180050': { name: 'sliceThickness', vr: 'DS' },
+  '0020000E': { name: 'seriesInstanceUID', vr: 'UI' },
+  '00200013': { name: 'instanceNumber', vr: 'IS' },
+  '00200032': { name: 'imagePositionPatient', vr: 'DS' },
+  '00200037': { name: 'imageOrientationPatient', vr: 'DS' },
+  '00200060': { name: 'laterality', vr: 'CS' },
+  '00200062': { name: 'imageLaterality', vr: 'CS' },
+  '00201041': { name: 'sliceLocation', vr: 'DS' },
+  '00280002': { name: 'samplesPerPixel', vr: 'US' },
+  '00280004': { name: 'photometricInterpretation', vr: 'CS' },
+  '00280010': { name: 'rows', vr: 'US' },
+  '00280011': { name: 'columns', vr: 'US' },
+  '00280030': { name: 'pixelSpacing', vr: 'DS' },
+  '00280100': { name: 'bitsAllocated', vr: 'US' },
+  '00280103': { name: 'pixelRepresentation', vr: 'US' },
+  '00281050': { name: 'windowCenter', vr: 'DS' },
+  '00281051': { name: 'windowWidth', vr: 'DS' },
+  '00281052': { name: 'rescaleIntercept', vr: 'DS' },
+  '00281053': { name: 'rescaleSlope', vr: 'DS' },
+  '7FE00010': { name: 'pixelData', vr: 'OW' }
+};
+
+/**
+ * Raised when a file is not DICOM or uses an encoding the loader cannot read.
+ */
+class DicomParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DicomParseError';
+  }
+}
+
+const toHex = value => value.toString(16).toUpperCase().padStart(4, '0');
+
+function readString(view, offset, length) {
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    text += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return text.replace(/[\0\s]+$/, '').trim();
+}
+
+/**
+ * Decode an element value for the VRs the viewer uses.
+ * Multi-valued numbers (DS/IS with backslashes) become arrays.
+ */
+function readValue(view, offset, length, vr) {
+  switch (vr) {
+    case 'US':
+      return length >= 2 ? view.getUint16(offset, true) : undefined;
+    case 'SS':
+      return length >= 2 ? view.getInt16(offset, true) : undefined;
+    case 'UL':
+      return length >= 4 ? view.getUint32(offset, true) : undefined;
+    case 'DS':
+    case 'IS': {
+      const values = readString(view, offset, length).split('\\').map(Number);
+      return values.length === 1 ? values[0] : values;
+    }
+    default:
+      return readString(view, offset, length);
+  }
+}
+
+/**
+ * Read one element header at `offset`.
+ * @returns {{tag: string, vr: string, length: number, valueOffset: number}}
+ */
+function readElementHeader(view, offset, explicitVR) {
+  const group = view.getUint16(offset, true);
+  const element = view.getUint16(offset + 2, true);
+  const tag = toHex(group) + toHex(element);
+
+  // Items and delimiters never carry a VR
+  if (group === 0xFFFE) {
+    return { tag, vr: null, length: view.getUint32(offset + 4, true), valueOffset: offset + 8 };
+  }
+
+  if (explicitVR) {
+    const vr = String.fromCharCode(view.getUint8(offset + 4), view.getUint8(offset + 5));
+    if (LONG_LENGTH_VRS.includes(vr)) {
+      return { tag, vr, length: view.getUint32(offset + 8, true), valueOffset: offset + 12 };
+    }
+    return { tag, vr, length: view.getUint16(offset + 6, true), valueOffset: offset + 8 };
+  }
+
+  const known = DICOM_TAGS[tag];
+  return { tag, vr: known ? known.vr : 'UN', length: view.getUint32(offset + 4, true), valueOffset: offset + 8 };
+}
+
+/**
+ * Walk a dataset, collecting the attributes in DICOM_TAGS into `result`.
+ * Sequences are skipped; nested items are only read to find where they end.
+ * @returns {number} Offset after the dataset (or after its delimiter).
+ */
+function readDataset(view, offset, end, explicitVR, result, nested = false) {
+  while (offset + 8 <= end) {
+    const header = readElementHeader(view, offset, explicitVR);
+
+    if (header.tag === ITEM_DELIMITATION || header.tag === SEQUENCE_DELIMITATION) {
+      if (nested) {
+        return header.valueOffset;
+      }
+      offset = header.valueOffset;
+      continue;
+    }
+
+    // Only the meta group is explicit in an implicit file; stop at the first non-meta element
+    if (result.stopAfterMeta && !header.tag.startsWith('0002')) {
+      return offset;
+    }
+
+    if (header.length === UNDEFINED_LENGTH) {
+      if (header.tag === '7FE00010') {
+        throw new DicomParseError('Encapsulated (compressed) pixel data is not supported');
+      }
+      offset = skipUndefinedLength(view, header.valueOffset, end, explicitVR);
+      continue;
+    }
+
+    if (header.valueOffset + header.length > end) {
+      throw new DicomParseError(`Element (${header.tag.slice(0, 4)},${header.tag.slice(4)}) runs past the end of the file`);
+    }
+
+    const known = DICOM_TAGS[header.tag];
+    if (known && !nested && header.vr !== 'SQ') {
+      result[known.name] = known.name === 'pixelData'
+        ? { offset: header.valueOffset, length: header.length }
+        : readValue(view, header.valueOffset, header.length, header.vr);
+    }
+    offset = header.valueOffset + header.length;
+  }
+  return offset;
+}
+
+/**
+ * Skip an undefined-length sequence (or item list) and return the offset after it.
+ */
+function skipUndefinedLength(view, offset, end, explicitVR) {
+  while (offset + 8 <= end) {
+    const header = readElementHeader(view, offset, explicitVR);
+    if (header.tag === SEQUENCE_DELIMITATION) {
+      return header.valueOffset;
+    }
+    if (header.tag === ITEM) {
+      offset = header.length === UNDEFINED_LENGTH
+        ? readDataset(view, header.valueOffset, end, explicitVR, {}, true)
+        : header.valueOffset + header.length;
+      continue;
+    }
+    throw new DicomParseError(`Unexpected tag (${header.tag.slice(0, 4)},${header.tag.slice(4)}) inside a sequence`);
+  }
+  throw new DicomParseError('Sequence is not terminated');
+}
+
+/**
+ * Parse a DICOM file.
+ * @param {ArrayBuffer} buffer - File contents.
+ * @returns {Object} Attributes named as in DICOM_TAGS (e.g. `rows`, `imagePositionPatient`),
+ *   with `pixelData` as a typed array and rescale slope/intercept defaulted.
+ * @throws {DicomParseError} If the file is not DICOM or cannot be decoded.
+ */
+function parseDicom(buffer) {
+  const view = new DataView(buffer);
+  const hasPreamble = buffer.byteLength > 132 && readString(view, 128, 4) === 'DICM';
+  const result = {};
+
+  let offset = 0;
+  let syntax = TRANSFER_SYNTAXES['1.2.840.10008.1.2']; // files without a meta header are implicit LE
+  if (hasPreamble) {
+    // The file meta group is always Explicit VR Little Endian
+    result.stopAfterMeta = true;
+    offset = readDataset(view, 132, buffer.byteLength, true, result);
+    delete result.stopAfterMeta;
+
+    syntax = TRANSFER_SYNTAXES[result.transferSyntaxUID];
+    if (!syntax) {
+      throw new DicomParseError(`Unsupported transfer syntax: ${result.transferSyntaxUID || 'none declared'}`);
+    }
+  }
+
+  readDataset(view, offset, buffer.byteLength, syntax.explicitVR, result);
+
+  if (!result.pixelData) {
+    throw new DicomParseError('File has no pixel data');
+  }
+  if (!result.rows || !result.columns) {
+    throw new DicomParseError('File has no image dimensions (Rows/Columns)');
+  }
+  if ((result.samplesPerPixel || 1) !== 1) {
+    throw new DicomParseError(`Only monochrome images are supported (samples per pixel: ${result.samplesPerPixel})`);
+  }
+
+  // Copy the pixel bytes so typed arrays are correctly aligned
+  const { offset: pixelOffset, length: pixelLength } = result.pixelData;
+  const pixelBytes = buffer.slice(pixelOffset, pixelOffset + pixelLength);
+  const bitsAllocated = result.bitsAllocated || 16;
+  if (bitsAllocated === 8) {
+    result.pixelData = new Uint8Array(pixelBytes);
+  } else if (bitsAllocated === 16) {
+    result.pixelData = result.pixelRepresentation === 1 ? new Int16Array(pixelBytes) : new Uint16Array(pixelBytes);
+  } else {
+    throw new DicomParseError(`Unsupported bits allocated: ${bitsAllocated}`);
+  }
+
+  result.transferSyntaxUID = result.transferSyntaxUID || '1.2.840.10008.1.2';
+  result.rescaleSlope = typeof result.rescaleSlope === 'number' ? result.rescaleSlope : 1;
+  result.rescaleIntercept = typeof result.rescaleIntercept === 'number' ? result.rescaleIntercept : 0;
+  return result;
+}
+
+/**
+ * Slice normal from the correlation engine, which is loaded by its own <script> tag
+ * in the browser and required as a sibling module under Node and bundlers.
+ */
+function sliceNormal(orientation) {
+  const engine = (typeof window !== 'undefined' && window.CorrelationEngine) || require('./correlationEngine');
+  return engine.getSliceNormal(orientation);
+}
+
+/**
+ * Plane of a slice from its orientation: the patient axis the normal points along.
+ * Patient axes are x = right→left (sagittal), y = anterior→posterior (coronal),
+ * z = inferior→superior (axial).
+ * @param {number[]} orientation - ImageOrientationPatient.
+ * @returns {string|null} 'sagittal', 'axial', 'coronal', or null without orientation.
+ */
+function classifyOrientation(orientation) {
+  const normal = sliceNormal(orientation);
+  if (!normal) {
+    return null;
+  }
+  const magnitudes = normal.map(Math.abs);
+  const axis = magnitudes.indexOf(Math.max(...magnitudes));
+  return ['sagittal', 'coronal', 'axial'][axis];
+}
+
+/**
+ * Sort the slices of one series by position along the slice normal, falling back
+ * to SliceLocation and then InstanceNumber when positions are missing.
+ * @param {Object[]} slices - Parsed slices of one series.
+ * @returns {Object[]} A new, sorted array.
+ */
+function sortSlices(slices) {
+  const normal = sliceNormal(slices[0] && slices[0].imageOrientationPatient);
+  const positionOf = slice => {
+    const position = slice.imagePositionPatient;
+    if (normal && Array.isArray(position) && position.length === 3) {
+      return position[0] * normal[0] + position[1] * normal[1] + position[2] * normal[2];
+    }
+    if (typeof slice.sliceLocation === 'number') {
+      return slice.sliceLocation;
+    }
+    return typeof slice.instanceNumber === 'number' ? slice.instanceNumber : 0;
+  };
+  return slices
+    .map(slice => ({ slice, position: positionOf(slice) }))
+    .sort((a, b) => a.position - b.position)
+    .map(entry => entry.slice);
+}
+
+/**
+ * Study side from the Laterality or Image Laterality attribute.
+ * @param {Object} slice - A parsed slice.
+ * @returns {string|null} 'right', 'left', or null if not recorded.
+ */
+function getLaterality(slice) {
+  const value = slice.imageLaterality || slice.laterality;
+  if (value === 'R') return 'right';
+  if (value === 'L') return 'left';
+  return null;
+}
+
+/**
+ * Load DICOM files and sort them into one series per plane. When several series
+ * share a plane, the one with the most slices is used.
+ * @param {FileList|File[]} files - Dropped or selected files.
+ * @returns {Promise<{series: Object, side: string|null, skipped: Array<{name: string, reason: string}>}>}
+ *   `series` maps 'sagittal'/'axial'/'coronal' to sorted slice arrays.
+ */
+async function loadDicomFiles(files) {
+  const bySeries = {};
+  const skipped = [];
+
+  for (const file of Array.from(files)) {
+    try {
+      const slice = parseDicom(await file.arrayBuffer());
+      slice.fileName = file.name;
+      const plane = classifyOrientation(slice.imageOrientationPatient);
+      if (!plane) {
+        throw new DicomParseError('No ImageOrientationPatient, cannot tell the plane');
+      }
+      const uid = slice.seriesInstanceUID || `${plane}-unknown-series`;
+      if (!bySeries[uid]) {
+        bySeries[uid] = { plane, slices: [] };
+      }
+      bySeries[uid].slices.push(slice);
+    } catch (error) {
+      console.warn(`Skipping ${file.name}: ${error.message}`);
+      skipped.push({ name: file.name, reason: error.message });
+    }
+  }
+
+  const series = {};
+  for (const [uid, { plane, slices }] of Object.entries(bySeries)) {
+    if (series[plane] && series[plane].length >= slices.length) {
+      console.warn(`Ignoring extra ${plane} series ${uid} (${slices.length} slices)`);
+      continue;
+    }
+    series[plane] = sortSlices(slices);
+  }
+
+  const firstSlice = Object.values(series).map(slices => slices[0]).find(Boolean);
+  return {
+    series,
+    side: firstSlice ? getLaterality(firstSlice) : null,
+    skipped
+  };
+}
+
+/**
+ * Default display window: the file's Window Center/Width, else the full pixel range.
+ * @param {Object} slice - A parsed slice.
+ * @returns {{center: number, width: number}}
+ */
+function getDefaultWindow(slice) {
+  const first = value => (Array.isArray(value) ? value[0] : value);
+  const center = first(slice.windowCenter);
+  const width = first(slice.windowWidth);
+  if (typeof center === 'number' && typeof width === 'number' && width > 0) {
+    return { center, width };
+  }
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (const raw of slice.pixelData) {
+    const value = raw * slice.rescaleSlope + slice.rescaleIntercept;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  return { center: (min + max) / 2, width: Math.max(1, max - min) };
+}
+
+/**
+ * Render a slice to a canvas that can be passed to drawImage.
+ * @param {Object} slice - A parsed slice.
+ * @param {{center: number, width: number}} [displayWindow] - Display window; defaults to getDefaultWindow.
+ * @returns {HTMLCanvasElement}
+ */
+function renderSliceToCanvas(slice, displayWindow = getDefaultWindow(slice)) {
+  const canvas = document.createElement('canvas');
+  canvas.width = slice.columns;
+  canvas.height = slice.rows;
+
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(slice.columns, slice.rows);
+  const low = displayWindow.center - displayWindow.width / 2;
+  const invert = slice.photometricInterpretation === 'MONOCHROME1';
+
+  for (let i = 0; i < slice.rows * slice.columns; i++) {
+    const value = slice.pixelData[i] * slice.rescaleSlope + slice.rescaleIntercept;
+    let gray = Math.round(((value - low) / displayWindow.width) * 255);
+    gray = Math.max(0, Math.min(255, gray));
+    if (invert) gray = 255 - gray;
+    image.data[i * 4] = gray;
+    image.data[i * 4 + 1] = gray;
+    image.data[i * 4 + 2] = gray;
+    image.data[i * 4 + 3] = 255;
+  }
+
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DicomParseError,
+    parseDicom,
+    classifyOrientation,
+    sortSlices,
+    getLaterality,
+    loadDicomFiles,
+    getDefaultWindow,
+    renderSliceToCanvas
+  };
+} else {
+  window.DicomLoader = {
+    DicomParseError,
+    parseDicom,
+    classifyOrientation,
+    sortSlices,
+    getLaterality,
+    loadDicomFiles,
+    getDefaultWindow,
+    renderSliceToCanvas
+  };
+}
@@ -0,0 +1,234 @@
+/**
+ * Image Manifest
+ * Validates and normalises image manifests (manifest.schema.json). Two layouts are read:
+ *
+ *   { "study": {...}, "vp1": [...], "vp2": [...], "vp3": [...] }                  by viewport
+ *   { "study": {...}, "sagittal": [...], "axial": [...], "coronal": [...] }       by plane
+ *
+ * A series is a list of images or `{ "images": [...], "fov_mm": 160, ... }` with metadata
+ * for that series. Images are URLs or `{ "image": url, "order": "3" }` entries and are
+ * sorted by numeric order. Gaps and duplicate orders are reported as problems rather
+ * than failing the study; a study is only rejected when a plane has no usable image.
+ */
+
+const MANIFEST_PLANES = ['axial', 'sagittal', 'coronal'];
+const MANIFEST_SIDES = ['right', 'left'];
+
+/**
+ * Series key per plane in each layout.
+ */
+const MANIFEST_LAYOUTS = {
+  viewport: { sagittal: 'vp1', axial: 'vp2', coronal: 'vp3' },
+  plane: { sagittal: 'sagittal', axial: 'axial', coronal: 'coronal' }
+};
+
+/**
+ * Raised when a manifest has errors, i.e. problems that leave a plane without images.
+ */
+class ManifestError extends Error {
+  /**
+   * @param {string} message
+   * @param {Array<{level: string, path: string, message: string}>} problems - Every problem
+   *   found, warnings included.
+   */
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'ManifestError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * @param {number|string} value - An `order` field.
+ * @returns {number} The order, or NaN if it is not a whole number.
+ */
+function readOrder(value) {
+  if (Number.isInteger(value) && value >= 0) {
+    return value;
+  }
+  if (typeof value === 'string' && /^\d+$/.test(value.trim())) {
+    return Number(value);
+  }
+  return NaN;
+}
+
+/**
+ * Describe the orders missing between two neighbouring slices.
+ * @param {number} from - Order of the slice before the gap.
+ * @param {number} to - Order of the slice after it.
+ * @returns {string}
+ */
+function describeGap(from, to) {
+  return to - from === 2 ? `no slice with order ${from + 1}` : `no slices with order ${from + 1}-${to - 1}`;
+}
+
+/**
+ * Validate and sort one series.
+ * @param {string} plane
+ * @param {string} key - Series key in the manifest, e.g. 'vp1'.
+ * @param {*} value - The series as written.
+ * @param {Object} study - Normalised study metadata, for the series defaults.
+ * @param {function(string, string, string): void} report - Adds a problem (level, path, message).
+ * @returns {{plane: string, key: string, urls: string[], orders: number[], sliceCount: number, region: string|null, side: string|null, fov: number|null}}
+ */
+function parseSeries(plane, key, value, study, report) {
+  const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+  const info = isObject ? value : {};
+  const entries = isObject ? value.images : value;
+  const entriesPath = isObject ? `${key}.images` : key;
+  const viewportNumber = MANIFEST_LAYOUTS.viewport[plane] === key ? Number(key.slice(2)) : null;
+
+  const slices = [];
+  if (!Array.isArray(entries)) {
+    report('error', entriesPath, 'is not a list of images');
+  } else {
+    entries.forEach((entry, index) => {
+      const path = `${entriesPath}[${index}]`;
+      const image = typeof entry === 'string' ? entry : entry && entry.image;
+      if (typeof image !== 'string' || image.trim() === '') {
+        report('warning', path, 'has no image URL; skipped');
+        return;
+      }
+
+      // Entries without an order keep their place in the list
+      let order = index + 1;
+      if (typeof entry === 'object' && entry.order !== undefined) {
+        order = readOrder(entry.order);
+        if (Number.isNaN(order)) {
+          report('warning', `${path}.order`, `"${entry.order}" is not a whole number; skipped`);
+          return;
+        }
+      }
+      if (typeof entry === 'object' && entry.viewport !== undefined && viewportNumber && entry.viewport !== viewportNumber) {
+        report('warning', `${path}.viewport`, `is ${entry.viewport} in ${key}`);
+      }
+      slices.push({ order, image, path });
+    });
+  }
+
+  // Stable sort: of two entries with the same order, the first listed is kept
+  slices.sort((a, b) => a.order - b.order);
+  const kept = [];
+  slices.forEach(slice => {
+    const previous = kept[kept.length - 1];
+    if (previous && previous.order === slice.order) {
+      report('warning', slice.path, `repeats order ${slice.order} of ${previous.path}; skipped`);
+      return;
+    }
+    if (previous && slice.order - previous.order > 1) {
+      report('warning', key, describeGap(previous.order, slice.order));
+    }
+    kept.push(slice);
+  });
+  if (Array.isArray(entries) && kept.length === 0) {
+    report('error', key, 'has no usable images');
+  }
+
+  let side = study.side;
+  if (info.side !== undefined) {
+    if (MANIFEST_SIDES.includes(info.side)) {
+      side = info.side;
+    } else {
+      report('warning', `${key}.side`, `"${info.side}" is not right or left; using the study side`);
+    }
+  }
+  let fov = null;
+  if (info.fov_mm !== undefined) {
+    if (Number.isFinite(info.fov_mm) && info.fov_mm > 0) {
+      fov = info.fov_mm;
+    } else {
+      report('warning', `${key}.fov_mm`, `${info.fov_mm} is not a positive number; ignored`);
+    }
+  }
+
+  return {
+    plane,
+    key,
+    urls: kept.map(slice => slice.image),
+    orders: kept.map(slice => slice.order),
+    sliceCount: kept.length,
+    region: typeof info.region === 'string' && info.region ? info.region : study.region,
+    side,
+    fov
+  };
+}
+
+/**
+ * Validate a manifest and normalise it to one sorted URL list per plane.
+ * @param {Object} manifest - Parsed manifest JSON.
+ * @returns {{layout: string|null, study: {id?: string, region: string|null, side: string|null},
+ *   series: Object<string, Object>, problems: Array<{level: string, path: string, message: string}>}}
+ *   `series` has an entry per plane (see parseSeries) when the layout is known. Problems with
+ *   level 'error' mean the manifest can't be shown; 'warning's are shown alongside it.
+ */
+function parseImageManifest(manifest) {
+  const problems = [];
+  const report = (level, path, message) => problems.push({ level, path, message });
+  const result = { layout: null, study: { region: null, side: null }, series: {}, problems };
+
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    report('error', 'manifest', 'is not a JSON object');
+    return result;
+  }
+
+  const study = manifest.study || {};
+  if (typeof study.id === 'string' && study.id) {
+    result.study.id = study.id;
+  }
+  if (typeof study.region === 'string' && study.region) {
+    result.study.region = study.region;
+  }
+  if (study.side !== undefined) {
+    if (MANIFEST_SIDES.includes(study.side)) {
+      result.study.side = study.side;
+    } else {
+      report('warning', 'study.side', `"${study.side}" is not right or left; ignored`);
+    }
+  }
+
+  const layouts = Object.keys(MANIFEST_LAYOUTS)
+    .filter(layout => Object.values(MANIFEST_LAYOUTS[layout]).some(key => manifest[key] !== undefined));
+  if (layouts.length === 0) {
+    report('error', 'manifest', 'has neither vp1/vp2/vp3 nor sagittal/axial/coronal series');
+    return result;
+  }
+  if (layouts.length > 1) {
+    report('warning', 'manifest', `has both ${layouts.join(' and ')} series; using ${layouts[0]} keys`);
+  }
+  result.layout = layouts[0];
+
+  Object.entries(MANIFEST_LAYOUTS[result.layout]).forEach(([plane, key]) => {
+    if (manifest[key] === undefined) {
+      report('error', key, `is missing (${plane} series)`);
+      result.series[plane] = parseSeries(plane, key, [], result.study, () => {});
+      return;
+    }
+    result.series[plane] = parseSeries(plane, key, manifest[key], result.study, report);
+  });
+
+  const total = manifest.metadata && manifest.metadata.total_slices;
+  if (Number.isInteger(total)) {
+    MANIFEST_PLANES
+      .filter(plane => result.series[plane].sliceCount > 0 && result.series[plane].sliceCount !== total)
+      .forEach(plane => {
+        report('warning', 'metadata.total_slices', `is ${total}, but ${result.series[plane].key} has ${result.series[plane].sliceCount} slices`);
+      });
+  }
+
+  return result;
+}
+
+/**
+ * @param {{level: string, path: string, message: string}} problem
+ * @returns {string} e.g. 'vp1[3].order: "3a" is not a whole number; skipped'.
+ */
+function formatManifestProblem(problem) {
+  return `${problem.path}: ${problem.message}`;
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MANIFEST_PLANES, MANIFEST_LAYOUTS, ManifestError, parseImageManifest, formatManifestProblem };
+} else {
+  window.ImageManifest = { MANIFEST_PLANES, MANIFEST_LAYOUTS, ManifestError, parseImageManifest, formatManifestProblem };
+}
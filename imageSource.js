@@ -0,0 +1,589 @@
+/**
+ * Image Sources
+ * Where slice images come from. Viewers ask a source for (plane, slice) and don't need to
+ * know whether the pixels are on S3, in a local folder, in parsed DICOM files or generated:
+ *
+ *   UrlManifestSource    image URLs listed in a manifest such as realMRIImages.json
+ *   LocalFolderSource    image files in a folder chosen with <input type="file" webkitdirectory>
+ *   DicomSource          series parsed in memory by dicomLoader.js
+ *   TestPatternSource    a synthetic phantom, for offline development and testing
+ *
+ * Each one implements the ImageSource methods. Planes are 'axial', 'sagittal' and 'coronal';
+ * slices are 0-based.
+ */
+
+const SOURCE_PLANES = ['axial', 'sagittal', 'coronal'];
+
+/**
+ * DICOM loader and manifest parser: loaded by their own <script> tags in the browser,
+ * required as sibling modules under Node and bundlers.
+ */
+const getDicomLoader = () =>
+  (typeof window !== 'undefined' && window.DicomLoader) || require('./dicomLoader');
+const getImageManifest = () =>
+  (typeof window !== 'undefined' && window.ImageManifest) || require('./imageManifest');
+
+/**
+ * Load a URL into an <img>. Hosts that don't send CORS headers are retried without CORS:
+ * the image still shows, but a canvas it is drawn on can't be read back.
+ * @param {string} url
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImageElement(url) {
+  const attempt = (crossOrigin) => new Promise((resolve, reject) => {
+    const img = new Image();
+    if (crossOrigin) {
+      img.crossOrigin = 'anonymous';
+    }
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Failed to load image: ${url}`));
+    img.src = url;
+  });
+  return attempt(true).catch(() => {
+    console.warn(`⚠️ CORS failed, trying without CORS: ${url}`);
+    return attempt(false);
+  });
+}
+
+/**
+ * Base class: the interface every source implements.
+ */
+class ImageSource {
+  /**
+   * @param {string} kind - 'manifest', 'folder', 'dicom' or 'test-pattern'.
+   * @param {string} label - Name shown to the user, e.g. in the info panel.
+   */
+  constructor(kind, label) {
+    this.kind = kind;
+    this.label = label;
+    // True when every slice is already on this machine, so it shows without waiting
+    this.isLocal = false;
+    // Problems found while opening, e.g. gaps in a manifest's slice order
+    this.problems = [];
+  }
+
+  /**
+   * Read whatever the source needs before slices can be asked for.
+   * @returns {Promise<ImageSource>} This source.
+   */
+  async open() {
+    return this;
+  }
+
+  /**
+   * @param {string} plane
+   * @returns {number} Number of slices in the plane's series.
+   */
+  getSliceCount(plane) {
+    throw new Error(`${this.constructor.name} does not implement getSliceCount (${plane})`);
+  }
+
+  /**
+   * A URL for the slice that both <img> and fetch() can load (http(s), blob: or data:).
+   * @param {string} plane
+   * @param {number} slice
+   * @returns {string|null} Null when there is no such slice.
+   */
+  getImageUrl(plane, slice) {
+    throw new Error(`${this.constructor.name} does not implement getImageUrl (${plane} ${slice})`);
+  }
+
+  /**
+   * The slice as something a canvas can draw.
+   * @param {string} plane
+   * @param {number} slice
+   * @returns {Promise<HTMLImageElement|HTMLCanvasElement>}
+   */
+  async getImage(plane, slice) {
+    const url = this.getImageUrl(plane, slice);
+    if (!url) {
+      throw new Error(`No ${plane} slice ${slice} in ${this.label}`);
+    }
+    return loadImageElement(url);
+  }
+
+  /**
+   * @returns {{id: string, region?: string, side?: string}} Study metadata; `id` keys
+   *   per-study data such as saved annotations.
+   */
+  getStudy() {
+    return { id: this.kind };
+  }
+
+  /**
+   * Metadata of one plane's series.
+   * @param {string} plane
+   * @returns {{plane: string, sliceCount: number, region: string|null, side: string|null, fov: number|null}}
+   *   `fov` is the field of view in mm across the image's longer side, if known.
+   */
+  getSeriesInfo(plane) {
+    const study = this.getStudy();
+    return { plane, sliceCount: this.getSliceCount(plane), region: study.region || null, side: study.side || null, fov: null };
+  }
+
+  /**
+   * @returns {Array<{level: string, path: string, message: string}>} Problems found while
+   *   opening the source; level is 'error' or 'warning'.
+   */
+  getProblems() {
+    return this.problems;
+  }
+
+  /**
+   * @returns {Object|null} Per-slice DICOM geometry per plane (see
+   *   MRIViewportManager.setSeriesGeometry), or null if the source has none.
+   */
+  getSeriesGeometry() {
+    return null;
+  }
+
+  /**
+   * @returns {string[]} Planes without any slices.
+   */
+  getMissingPlanes() {
+    return SOURCE_PLANES.filter(plane => this.getSliceCount(plane) === 0);
+  }
+
+  /**
+   * Every slice URL, in the shape MRIImageCache.preloadImages takes.
+   * @returns {{axial: string[], sagittal: string[], coronal: string[]}}
+   */
+  getUrlLists() {
+    const lists = {};
+    SOURCE_PLANES.forEach(plane => {
+      lists[plane] = Array.from({ length: this.getSliceCount(plane) }, (_, slice) => this.getImageUrl(plane, slice));
+    });
+    return lists;
+  }
+
+  /**
+   * Release object URLs and other resources. The source is not used afterwards.
+   */
+  close() {}
+}
+
+/**
+ * Images listed by URL in a manifest (manifest.schema.json; see imageManifest.js).
+ */
+class UrlManifestSource extends ImageSource {
+  /**
+   * @param {string|Object} manifest - URL of the manifest JSON, or the parsed manifest.
+   * @param {Object} [options]
+   * @param {StudyImageStore} [options.store] - Keeps the images for offline use (see
+   *   offlineStore.js); MRIImageCache loads through it too.
+   */
+  constructor(manifest, { store = null } = {}) {
+    super('manifest', 'Image manifest');
+    this.manifestUrl = typeof manifest === 'string' ? manifest : null;
+    this.manifest = typeof manifest === 'string' ? null : manifest;
+    this.parsed = null;
+    this.store = store;
+  }
+
+  /**
+   * @throws {ManifestError} If a plane has no usable images; its `problems` lists why.
+   */
+  async open() {
+    if (!this.manifest) {
+      const response = await fetch(this.manifestUrl);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      this.manifest = await response.json();
+    }
+
+    const { parseImageManifest, formatManifestProblem, ManifestError } = getImageManifest();
+    const parsed = parseImageManifest(this.manifest);
+    this.problems = parsed.problems;
+    const errors = parsed.problems.filter(problem => problem.level === 'error');
+    if (errors.length > 0) {
+      throw new ManifestError(`Invalid image manifest: ${formatManifestProblem(errors[0])}`, parsed.problems);
+    }
+    this.parsed = parsed;
+
+    if (this.store) {
+      // Stored under the study id, else the manifest's URL
+      const id = parsed.study.id || (this.manifestUrl && this.manifestUrl.replace(/^\.\//, '')) || 'manifest';
+      await this.store.openStudy({ id, label: id, region: parsed.study.region, side: parsed.study.side });
+    }
+    return this;
+  }
+
+  getSliceCount(plane) {
+    return this.parsed ? this.parsed.series[plane].sliceCount : 0;
+  }
+
+  getImageUrl(plane, slice) {
+    return (this.parsed && this.parsed.series[plane].urls[slice]) || null;
+  }
+
+  async getImage(plane, slice) {
+    const url = this.getImageUrl(plane, slice);
+    if (!this.store || !url) {
+      return super.getImage(plane, slice);
+    }
+
+    let objectUrl = null;
+    try {
+      const response = await this.store.fetch(url, { mode: 'cors', credentials: 'omit' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      objectUrl = URL.createObjectURL(await response.blob());
+      return await loadImageElement(objectUrl);
+    } catch (error) {
+      // Hosts without CORS can't be stored; load the image directly
+      console.warn(`⚠️ Not stored offline (${error.message}): ${url}`);
+      return super.getImage(plane, slice);
+    } finally {
+      // The decoded image stays usable for drawing
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
+      }
+    }
+  }
+
+  getStudy() {
+    const study = this.parsed ? this.parsed.study : {};
+    return { ...study, id: study.id || 'manifest' };
+  }
+
+  getSeriesInfo(plane) {
+    if (!this.parsed) {
+      return super.getSeriesInfo(plane);
+    }
+    const { sliceCount, region, side, fov } = this.parsed.series[plane];
+    return { plane, sliceCount, region, side, fov };
+  }
+}
+
+// Folder names that identify a plane in a LocalFolderSource
+const FOLDER_PLANE_NAMES = {
+  axial: 'axial',
+  sagittal: 'sagittal',
+  coronal: 'coronal',
+  vp1: 'sagittal',
+  vp2: 'axial',
+  vp3: 'coronal'
+};
+
+/**
+ * Group a folder's image files by plane and sort each plane by file name.
+ * @param {File[]} files
+ * @returns {{axial: File[], sagittal: File[], coronal: File[]}}
+ */
+function groupFolderFiles(files) {
+  const grouped = { axial: [], sagittal: [], coronal: [] };
+  files.forEach(file => {
+    if (!file.type.startsWith('image/')) return;
+    // The innermost folder named after a plane decides
+    const folders = (file.webkitRelativePath || file.name).toLowerCase().split('/').slice(0, -1).reverse();
+    const plane = folders.map(name => FOLDER_PLANE_NAMES[name]).find(Boolean);
+    if (plane) {
+      grouped[plane].push(file);
+    }
+  });
+
+  // Numbers in names compare numerically: slice2 comes before slice10
+  const collator = new Intl.Collator(undefined, { numeric: true });
+  SOURCE_PLANES.forEach(plane => grouped[plane].sort((a, b) => collator.compare(a.name, b.name)));
+  return grouped;
+}
+
+/**
+ * Image files from a local folder with one subfolder per plane, named after the plane
+ * (axial, sagittal, coronal) or its manifest key (vp1 sagittal, vp2 axial, vp3 coronal).
+ */
+class LocalFolderSource extends ImageSource {
+  /**
+   * @param {FileList|File[]} files - From an `<input type="file" webkitdirectory>`.
+   */
+  constructor(files) {
+    const list = Array.from(files);
+    const folder = (list[0] && list[0].webkitRelativePath.split('/')[0]) || 'local folder';
+    super('folder', `Folder: ${folder}`);
+    this.isLocal = true;
+    this.folder = folder;
+    this.files = groupFolderFiles(list);
+    this.objectUrls = new Map();
+  }
+
+  getSliceCount(plane) {
+    return this.files[plane].length;
+  }
+
+  getImageUrl(plane, slice) {
+    const file = this.files[plane][slice];
+    if (!file) {
+      return null;
+    }
+    if (!this.objectUrls.has(file)) {
+      this.objectUrls.set(file, URL.createObjectURL(file));
+    }
+    return this.objectUrls.get(file);
+  }
+
+  getStudy() {
+    return { id: `folder:${this.folder}` };
+  }
+
+  close() {
+    this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+    this.objectUrls.clear();
+  }
+}
+
+/**
+ * Series parsed from DICOM files, each slice rendered with its default window.
+ */
+class DicomSource extends ImageSource {
+  /**
+   * @param {Object} series - Sorted slices per plane, from DicomLoader.loadDicomFiles.
+   * @param {string|null} [side] - Laterality recorded in the files.
+   */
+  constructor(series, side = null) {
+    super('dicom', 'Local DICOM');
+    this.isLocal = true;
+    this.series = series;
+    this.side = side;
+    this.canvases = new Map();
+    this.dataUrls = new Map();
+  }
+
+  getSliceCount(plane) {
+    return this.series[plane] ? this.series[plane].length : 0;
+  }
+
+  /**
+   * Rendered once per slice and kept.
+   * @returns {HTMLCanvasElement|null}
+   */
+  renderSlice(plane, slice) {
+    const key = `${plane}-${slice}`;
+    if (!this.canvases.has(key)) {
+      const data = this.series[plane] && this.series[plane][slice];
+      if (!data) {
+        return null;
+      }
+      this.canvases.set(key, getDicomLoader().renderSliceToCanvas(data));
+    }
+    return this.canvases.get(key);
+  }
+
+  async getImage(plane, slice) {
+    const canvas = this.renderSlice(plane, slice);
+    if (!canvas) {
+      throw new Error(`No DICOM slice ${slice} for ${plane}`);
+    }
+    return canvas;
+  }
+
+  getImageUrl(plane, slice) {
+    const key = `${plane}-${slice}`;
+    if (!this.dataUrls.has(key)) {
+      const canvas = this.renderSlice(plane, slice);
+      if (!canvas) {
+        return null;
+      }
+      this.dataUrls.set(key, canvas.toDataURL('image/png'));
+    }
+    return this.dataUrls.get(key);
+  }
+
+  getStudy() {
+    const first = this.series.axial && this.series.axial[0];
+    return { id: (first && first.seriesInstanceUID) || 'dicom', side: this.side || undefined };
+  }
+
+  getSeriesGeometry() {
+    return this.series;
+  }
+}
+
+// Test pattern phantom: spheres in a unit volume, x left-right, y front-back, z foot-head
+const TEST_PATTERN_SPHERES = [
+  { center: [0.5, 0.5, 0.5], radius: 0.35, color: '#888' },
+  { center: [0.3, 0.35, 0.65], radius: 0.12, color: '#eee' }
+];
+
+// Volume point -> [image x, image y (from the top), position along the plane's slices]
+const TEST_PATTERN_AXES = {
+  axial: (x, y, z) => [x, y, z],
+  sagittal: (x, y, z) => [y, 1 - z, x],
+  coronal: (x, y, z) => [x, 1 - z, y]
+};
+
+// The same mapping as DICOM geometry in a volume TEST_PATTERN_VOLUME_MM across: direction
+// of image rows and columns, and the volume point at the image's top-left corner
+const TEST_PATTERN_VOLUME_MM = 200;
+const TEST_PATTERN_ORIENTATION = {
+  axial: { row: [1, 0, 0], column: [0, 1, 0], corner: depth => [0, 0, depth] },
+  sagittal: { row: [0, 1, 0], column: [0, 0, -1], corner: depth => [depth, 0, 1] },
+  coronal: { row: [1, 0, 0], column: [0, 0, -1], corner: depth => [0, depth, 1] }
+};
+
+/**
+ * A generated phantom: a large sphere with a smaller bright one off-centre, on a grid, with
+ * the plane and slice number printed on each image. The slices come with DICOM-style
+ * geometry (getSeriesGeometry), so viewers correlate them in patient space rather than with
+ * a region's coefficients. The small sphere then lines up in all three planes, and
+ * correlation can be checked by eye without any downloads.
+ */
+class TestPatternSource extends ImageSource {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.slices=21] - Slices per plane.
+   * @param {number} [options.size=256] - Image width and height in pixels.
+   */
+  constructor({ slices = 21, size = 256 } = {}) {
+    super('test-pattern', 'Test pattern');
+    this.isLocal = true;
+    this.slices = slices;
+    this.size = size;
+    this.canvases = new Map();
+    this.dataUrls = new Map();
+    this.geometry = null;
+  }
+
+  getSliceCount() {
+    return this.slices;
+  }
+
+  getSeriesGeometry() {
+    if (!this.geometry) {
+      const pixel = TEST_PATTERN_VOLUME_MM / this.size;
+      this.geometry = {};
+      Object.entries(TEST_PATTERN_ORIENTATION).forEach(([plane, { row, column, corner }]) => {
+        this.geometry[plane] = Array.from({ length: this.slices }, (_, slice) => {
+          // imagePositionPatient is the centre of the top-left pixel
+          const origin = corner((slice + 0.5) / this.slices)
+            .map((value, axis) => value * TEST_PATTERN_VOLUME_MM + (row[axis] + column[axis]) * pixel / 2);
+          return {
+            seriesInstanceUID: `test-pattern.${plane}`,
+            imagePositionPatient: origin,
+            imageOrientationPatient: [...row, ...column],
+            pixelSpacing: [pixel, pixel],
+            rows: this.size,
+            columns: this.size
+          };
+        });
+      });
+    }
+    return this.geometry;
+  }
+
+  /**
+   * @returns {HTMLCanvasElement|null}
+   */
+  renderSlice(plane, slice) {
+    if (!TEST_PATTERN_AXES[plane] || slice < 0 || slice >= this.slices) {
+      return null;
+    }
+    const key = `${plane}-${slice}`;
+    if (this.canvases.has(key)) {
+      return this.canvases.get(key);
+    }
+
+    const { size } = this;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, size, size);
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let i = 1; i < 8; i++) {
+      const position = Math.round((i * size) / 8) + 0.5;
+      ctx.moveTo(position, 0);
+      ctx.lineTo(position, size);
+      ctx.moveTo(0, position);
+      ctx.lineTo(size, position);
+    }
+    ctx.stroke();
+
+    const depth = (slice + 0.5) / this.slices;
+    TEST_PATTERN_SPHERES.forEach(({ center, radius, color }) => {
+      const [imageX, imageY, sliceAt] = TEST_PATTERN_AXES[plane](...center);
+      const distance = depth - sliceAt;
+      if (Math.abs(distance) >= radius) return;
+      ctx.beginPath();
+      ctx.arc(imageX * size, imageY * size, Math.sqrt(radius * radius - distance * distance) * size, 0, 2 * Math.PI);
+      ctx.fillStyle = color;
+      ctx.fill();
+    });
+
+    ctx.fillStyle = '#4CAF50';
+    ctx.font = `${Math.round(size / 16)}px monospace`;
+    ctx.textBaseline = 'top';
+    ctx.fillText(`${plane} ${slice}/${this.slices - 1}`, 4, 4);
+
+    this.canvases.set(key, canvas);
+    return canvas;
+  }
+
+  async getImage(plane, slice) {
+    const canvas = this.renderSlice(plane, slice);
+    if (!canvas) {
+      throw new Error(`No test pattern slice ${slice} for ${plane}`);
+    }
+    return canvas;
+  }
+
+  getImageUrl(plane, slice) {
+    const key = `${plane}-${slice}`;
+    if (!this.dataUrls.has(key)) {
+      const canvas = this.renderSlice(plane, slice);
+      if (!canvas) {
+        return null;
+      }
+      this.dataUrls.set(key, canvas.toDataURL('image/png'));
+    }
+    return this.dataUrls.get(key);
+  }
+
+  getStudy() {
+    return { id: 'test-pattern' };
+  }
+}
+
+/**
+ * The source a viewer starts with, from its `?source=` query parameter: 'test' for the
+ * test pattern, otherwise a manifest URL (realMRIImages.json when not given).
+ * @param {string|null} [name]
+ * @param {Object} [options] - Passed to UrlManifestSource, e.g. `{ store }`.
+ * @returns {ImageSource} Not opened yet.
+ */
+function createImageSource(name, options = {}) {
+  if (name === 'test' || name === 'test-pattern') {
+    return new TestPatternSource();
+  }
+  return new UrlManifestSource(name || './realMRIImages.json', options);
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SOURCE_PLANES,
+    ImageSource,
+    UrlManifestSource,
+    LocalFolderSource,
+    DicomSource,
+    TestPatternSource,
+    createImageSource,
+    loadImageElement
+  };
+} else {
+  window.ImageSources = {
+    SOURCE_PLANES,
+    ImageSource,
+    UrlManifestSource,
+    LocalFolderSource,
+    DicomSource,
+    TestPatternSource,
+    createImageSource,
+    loadImageElement
+  };
+}
@@ -0,0 +1,158 @@
+/**
+ * Layout Manager
+ * Arranges the viewports as a single full-size viewport (1×1), the three planes side by
+ * side (1×3), or a 2×2 grid whose fourth pane is an info panel with a 3D locator.
+ * Double-clicking a viewport maximises it to 1×1 and back (wired by each viewer).
+ *
+ * The layout is applied as `data-layout` on the container, and panes that are not shown
+ * get the `layout-hidden` class; the stylesheets size everything else. After each change a
+ * `layoutchange` CustomEvent is sent on the container (not document, so viewers sharing a
+ * page only hear their own) to let the viewer resize its canvases and redraw overlays at
+ * the new size. Listen on the container before constructing: the first layout is sent too.
+ */
+
+const LAYOUTS = {
+  '1x1': { label: '1 × 1' },
+  '1x3': { label: '1 × 3' },
+  '2x2': { label: '2 × 2' }
+};
+const DEFAULT_LAYOUT = '1x3';
+
+class LayoutManager {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.container - Element holding the panes.
+   * @param {Object<string, HTMLElement>} options.panes - Viewport name -> pane element.
+   * @param {HTMLElement} [options.infoPane] - Fourth pane, shown in the 2×2 layout only.
+   * @param {string} [options.layout] - Initial layout, a key of LAYOUTS.
+   * @param {string} [options.activeViewport] - Viewport shown in the 1×1 layout.
+   */
+  constructor({ container, panes, infoPane = null, layout = DEFAULT_LAYOUT, activeViewport }) {
+    this.container = container;
+    this.panes = panes;
+    this.infoPane = infoPane;
+    this.layout = LAYOUTS[layout] ? layout : DEFAULT_LAYOUT;
+    this.activeViewport = activeViewport || Object.keys(panes)[0];
+    // Layout to return to when a maximised viewport is double-clicked again
+    this.restoreLayout = null;
+    this.apply();
+  }
+
+  /**
+   * @param {string} layout - A key of LAYOUTS.
+   * @param {string} [viewport] - Viewport to show in the 1×1 layout.
+   * @returns {boolean} Whether the layout is known.
+   */
+  setLayout(layout, viewport = this.activeViewport) {
+    if (!LAYOUTS[layout]) {
+      console.warn(`Unknown layout: ${layout}`);
+      return false;
+    }
+    if (this.panes[viewport]) {
+      this.activeViewport = viewport;
+    }
+    this.layout = layout;
+    this.restoreLayout = null;
+    this.apply();
+    return true;
+  }
+
+  /**
+   * Maximise a viewport to 1×1, or leave 1×1 for the layout it was maximised from.
+   * @param {string} viewport
+   */
+  toggleMaximize(viewport) {
+    if (this.layout === '1x1') {
+      this.setLayout(this.restoreLayout || DEFAULT_LAYOUT);
+      return;
+    }
+    const previous = this.layout;
+    this.setLayout('1x1', viewport);
+    this.restoreLayout = previous;
+  }
+
+  apply() {
+    this.container.dataset.layout = this.layout;
+    Object.entries(this.panes).forEach(([viewport, pane]) => {
+      pane.classList.toggle('layout-hidden', this.layout === '1x1' && viewport !== this.activeViewport);
+    });
+    if (this.infoPane) {
+      this.infoPane.classList.toggle('layout-hidden', this.layout !== '2x2');
+    }
+
+    this.container.dispatchEvent(new CustomEvent('layoutchange', {
+      detail: { layout: this.layout, activeViewport: this.activeViewport }
+    }));
+  }
+}
+
+/**
+ * Draw a schematic 3D locator: the image volume as an isometric box, with the current
+ * sagittal, coronal and axial slices as planes through it.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object<string, number>} positions - Slice position per plane as a fraction of
+ *   the series (0 = first slice, 1 = last); missing planes are not drawn.
+ * @param {Object<string, string>} [colors] - Stroke colour per plane.
+ */
+function drawLocator(ctx, positions, colors = {}) {
+  const { width, height } = ctx.canvas;
+  const size = Math.min(width, height) * 0.45;
+  const cos = Math.cos(Math.PI / 6);
+  const sin = Math.sin(Math.PI / 6);
+
+  // x: sagittal slice direction, y: coronal, z: axial (first slice at the top)
+  const project = (x, y, z) => ({
+    x: width / 2 + ((x - 0.5) - (y - 0.5)) * cos * size,
+    y: height / 2 + ((x - 0.5) + (y - 0.5)) * sin * size - (z - 0.5) * size
+  });
+  const path = (corners) => {
+    ctx.beginPath();
+    corners.forEach(([x, y, z], i) => {
+      const point = project(x, y, z);
+      if (i === 0) {
+        ctx.moveTo(point.x, point.y);
+      } else {
+        ctx.lineTo(point.x, point.y);
+      }
+    });
+    ctx.closePath();
+  };
+
+  ctx.clearRect(0, 0, width, height);
+
+  // Box edges
+  ctx.strokeStyle = '#666';
+  ctx.lineWidth = 1;
+  [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0]].forEach(([x, y]) => {
+    path([[x, y, 0], [x, y, 1]]);
+    ctx.stroke();
+  });
+  [0, 1].forEach(z => {
+    path([[0, 0, z], [1, 0, z], [1, 1, z], [0, 1, z]]);
+    ctx.stroke();
+  });
+
+  const planes = {
+    sagittal: s => [[s, 0, 0], [s, 1, 0], [s, 1, 1], [s, 0, 1]],
+    coronal: c => [[0, c, 0], [1, c, 0], [1, c, 1], [0, c, 1]],
+    axial: a => [[0, 0, 1 - a], [1, 0, 1 - a], [1, 1, 1 - a], [0, 1, 1 - a]]
+  };
+  Object.entries(planes).forEach(([plane, corners]) => {
+    const position = positions[plane];
+    if (!Number.isFinite(position)) return;
+    path(corners(Math.max(0, Math.min(1, position))));
+    ctx.globalAlpha = 0.2;
+    ctx.fillStyle = colors[plane] || '#4CAF50';
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = colors[plane] || '#4CAF50';
+    ctx.stroke();
+  });
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LAYOUTS, DEFAULT_LAYOUT, LayoutManager, drawLocator };
+} else {
+  window.Layouts = { LAYOUTS, DEFAULT_LAYOUT, LayoutManager, drawLocator };
+}
@@ -0,0 +1,313 @@
+/**
+ * Measurement Tools
+ * Ruler, angle and ROI ellipse measurements on a viewport's image. Points are stored
+ * in image coordinates (0-1 across the image itself, y from the top), so measurements
+ * stay on the anatomy through zoom, pan, letterboxing and window resizes.
+ *
+ * Lengths are converted to millimetres from the DICOM pixel spacing, or from the
+ * field of view (FOV) recorded for the plane in the Parameters workbook.
+ */
+
+const MEASUREMENT_TOOLS = {
+  ruler: { label: 'Ruler', points: 2 },
+  angle: { label: 'Angle', points: 3 },
+  ellipse: { label: 'ROI ellipse', points: 2 }
+};
+
+/**
+ * Size of the whole image in physical units, used to scale normalised points.
+ * @param {Object} image
+ * @param {number} image.naturalWidth - Image width in pixels.
+ * @param {number} image.naturalHeight - Image height in pixels.
+ * @param {number[]} [image.pixelSpacing] - DICOM PixelSpacing: [row spacing, column spacing] in mm.
+ * @param {number} [image.fov] - Field of view in mm, spanning the image's longer side.
+ * @returns {{x: number, y: number, unit: string}} Width and height of the image in `unit`
+ *   ('mm', or 'px' when neither pixel spacing nor FOV is known).
+ */
+function getMeasurementScale({ naturalWidth, naturalHeight, pixelSpacing, fov }) {
+  if (Array.isArray(pixelSpacing) && pixelSpacing.length === 2 && pixelSpacing.every(v => v > 0)) {
+    const [rowSpacing, columnSpacing] = pixelSpacing;
+    return { x: naturalWidth * columnSpacing, y: naturalHeight * rowSpacing, unit: 'mm' };
+  }
+  if (fov > 0) {
+    const longest = Math.max(naturalWidth, naturalHeight);
+    return { x: fov * naturalWidth / longest, y: fov * naturalHeight / longest, unit: 'mm' };
+  }
+  return { x: naturalWidth, y: naturalHeight, unit: 'px' };
+}
+
+/**
+ * Field of view for a plane from a region profile: `metadata.fov_mm[plane]`, or the FOV
+ * of the first geometry pair clicked in that plane (see coefficientCalculator.js).
+ * @param {Object} profile - Region profile.
+ * @param {string} plane - 'sagittal', 'axial' or 'coronal'.
+ * @returns {number|null} FOV in mm, or null if the profile does not record one.
+ */
+function getProfileFieldOfView(profile, plane) {
+  const metadata = (profile && profile.metadata) || {};
+  if (metadata.fov_mm && metadata.fov_mm[plane] > 0) {
+    return metadata.fov_mm[plane];
+  }
+  const pair = Object.entries(metadata.geometry || {}).find(([key]) => key.startsWith(`${plane}_to_`));
+  return pair && pair[1].fov > 0 ? pair[1].fov : null;
+}
+
+function toPhysical(point, scale) {
+  return { x: point.x * scale.x, y: point.y * scale.y };
+}
+
+/**
+ * Distance between two image points.
+ * @param {{x: number, y: number}} a
+ * @param {{x: number, y: number}} b
+ * @param {{x: number, y: number}} scale - See getMeasurementScale.
+ * @returns {number} Distance in the scale's unit.
+ */
+function measureDistance(a, b, scale) {
+  const p = toPhysical(a, scale);
+  const q = toPhysical(b, scale);
+  return Math.hypot(q.x - p.x, q.y - p.y);
+}
+
+/**
+ * Angle at a vertex, measured in physical space so non-square pixels don't skew it.
+ * @param {{x: number, y: number}} a - End of the first arm.
+ * @param {{x: number, y: number}} vertex
+ * @param {{x: number, y: number}} b - End of the second arm.
+ * @param {{x: number, y: number}} scale - See getMeasurementScale.
+ * @returns {number} Angle in degrees (0-180).
+ */
+function measureAngle(a, vertex, b, scale) {
+  const v = toPhysical(vertex, scale);
+  const p = toPhysical(a, scale);
+  const q = toPhysical(b, scale);
+  const first = Math.atan2(p.y - v.y, p.x - v.x);
+  const second = Math.atan2(q.y - v.y, q.x - v.x);
+  let degrees = Math.abs(first - second) * 180 / Math.PI;
+  if (degrees > 180) {
+    degrees = 360 - degrees;
+  }
+  return degrees;
+}
+
+/**
+ * Size of an ellipse inscribed in the box between two opposite corners.
+ * @param {{x: number, y: number}} a - One corner of the bounding box.
+ * @param {{x: number, y: number}} b - The opposite corner.
+ * @param {{x: number, y: number}} scale - See getMeasurementScale.
+ * @returns {{width: number, height: number, area: number}} Axes in the scale's unit, area in its square.
+ */
+function measureEllipse(a, b, scale) {
+  const width = Math.abs(b.x - a.x) * scale.x;
+  const height = Math.abs(b.y - a.y) * scale.y;
+  return { width, height, area: Math.PI * (width / 2) * (height / 2) };
+}
+
+/**
+ * Label for a measurement, e.g. '12.3 mm', '41.0°' or '95.0 mm² (10.0 × 12.1 mm)'.
+ * @param {{tool: string, points: Array<{x: number, y: number}>}} measurement
+ * @param {{x: number, y: number, unit: string}} scale - See getMeasurementScale.
+ * @returns {string}
+ */
+function formatMeasurement(measurement, scale) {
+  const [a, b, c] = measurement.points;
+  switch (measurement.tool) {
+    case 'ruler':
+      return `${measureDistance(a, b, scale).toFixed(1)} ${scale.unit}`;
+    case 'angle':
+      return `${measureAngle(a, b, c, scale).toFixed(1)}°`;
+    case 'ellipse': {
+      const { width, height, area } = measureEllipse(a, b, scale);
+      return `${area.toFixed(1)} ${scale.unit}² (${width.toFixed(1)} × ${height.toFixed(1)} ${scale.unit})`;
+    }
+    default:
+      throw new Error(`Unknown measurement tool: ${measurement.tool}`);
+  }
+}
+
+/**
+ * Index of the point (handle) of a measurement near an image point.
+ * @param {{points: Array<{x: number, y: number}>}} measurement
+ * @param {{x: number, y: number}} point - Image point.
+ * @param {number} tolerance - Maximum distance in image units.
+ * @returns {number} Handle index, or -1 if none is close enough.
+ */
+function hitTestHandle(measurement, point, tolerance) {
+  return measurement.points.findIndex(handle => Math.hypot(handle.x - point.x, handle.y - point.y) <= tolerance);
+}
+
+function distanceToSegment(point, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+}
+
+/**
+ * Whether an image point lies on an open polyline (ruler, angle arms, arrows, freehand outlines).
+ * @param {Array<{x: number, y: number}>} points - Polyline vertices, in order.
+ * @param {{x: number, y: number}} point - Image point.
+ * @param {number} tolerance - Maximum distance in image units.
+ * @returns {boolean}
+ */
+function hitTestPolyline(points, point, tolerance) {
+  return points.slice(1).some((end, i) => distanceToSegment(point, points[i], end) <= tolerance);
+}
+
+/**
+ * Whether an image point lies on a measurement's drawn lines or outline.
+ * @param {{tool: string, points: Array<{x: number, y: number}>}} measurement
+ * @param {{x: number, y: number}} point - Image point.
+ * @param {number} tolerance - Maximum distance in image units.
+ * @returns {boolean}
+ */
+function hitTestMeasurement(measurement, point, tolerance) {
+  const [a, b] = measurement.points;
+  switch (measurement.tool) {
+    case 'ruler':
+    case 'angle':
+      return hitTestPolyline(measurement.points, point, tolerance);
+    case 'ellipse': {
+      const rx = Math.abs(b.x - a.x) / 2;
+      const ry = Math.abs(b.y - a.y) / 2;
+      if (rx === 0 || ry === 0) {
+        return distanceToSegment(point, a, b) <= tolerance;
+      }
+      // Distance from the outline, approximated in units of the mean radius
+      const radial = Math.hypot((point.x - (a.x + b.x) / 2) / rx, (point.y - (a.y + b.y) / 2) / ry);
+      return Math.abs(radial - 1) * (rx + ry) / 2 <= tolerance;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Measurements per viewport and slice.
+ */
+class MeasurementStore {
+  constructor() {
+    this.measurements = {};
+    this.nextId = 1;
+  }
+
+  key(viewport, slice) {
+    return `${viewport}:${slice}`;
+  }
+
+  /**
+   * @param {string} viewport
+   * @param {number} slice
+   * @returns {Array<{id: number, tool: string, viewport: string, slice: number, points: Array}>}
+   */
+  list(viewport, slice) {
+    return this.measurements[this.key(viewport, slice)] || [];
+  }
+
+  /**
+   * Add a measurement.
+   * @param {string} viewport
+   * @param {number} slice
+   * @param {string} tool - A key of MEASUREMENT_TOOLS.
+   * @param {Array<{x: number, y: number}>} points - Image points, as many as the tool needs.
+   * @returns {Object} The stored measurement.
+   * @throws {Error} If the tool is unknown or the point count does not match it.
+   */
+  add(viewport, slice, tool, points) {
+    if (!MEASUREMENT_TOOLS[tool]) {
+      throw new Error(`Unknown measurement tool: ${tool}`);
+    }
+    if (points.length !== MEASUREMENT_TOOLS[tool].points) {
+      throw new Error(`${MEASUREMENT_TOOLS[tool].label} needs ${MEASUREMENT_TOOLS[tool].points} points, got ${points.length}`);
+    }
+
+    const measurement = { id: this.nextId++, tool, viewport, slice, points: points.map(p => ({ x: p.x, y: p.y })) };
+    const key = this.key(viewport, slice);
+    this.measurements[key] = [...this.list(viewport, slice), measurement];
+    return measurement;
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    for (const list of Object.values(this.measurements)) {
+      const measurement = list.find(m => m.id === id);
+      if (measurement) {
+        return measurement;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Move one point of a measurement.
+   * @param {number} id
+   * @param {number} index - Point index.
+   * @param {{x: number, y: number}} point - New image point.
+   * @returns {Object|null} The updated measurement, or null if it does not exist.
+   */
+  movePoint(id, index, point) {
+    const measurement = this.get(id);
+    if (!measurement || !measurement.points[index]) {
+      return null;
+    }
+    measurement.points[index] = { x: point.x, y: point.y };
+    return measurement;
+  }
+
+  /**
+   * @param {number} id
+   * @returns {boolean} Whether a measurement was removed.
+   */
+  remove(id) {
+    for (const [key, list] of Object.entries(this.measurements)) {
+      const remaining = list.filter(m => m.id !== id);
+      if (remaining.length !== list.length) {
+        this.measurements[key] = remaining;
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Remove every measurement, e.g. when a different series is opened.
+   */
+  clear() {
+    this.measurements = {};
+  }
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MEASUREMENT_TOOLS,
+    getMeasurementScale,
+    getProfileFieldOfView,
+    measureDistance,
+    measureAngle,
+    measureEllipse,
+    formatMeasurement,
+    hitTestHandle,
+    hitTestPolyline,
+    hitTestMeasurement,
+    MeasurementStore
+  };
+} else {
+  window.MeasurementTools = {
+    MEASUREMENT_TOOLS,
+    getMeasurementScale,
+    getProfileFieldOfView,
+    measureDistance,
+    measureAngle,
+    measureEllipse,
+    formatMeasurement,
+    hitTestHandle,
+    hitTestPolyline,
+    hitTestMeasurement,
+    MeasurementStore
+  };
+}
@@ -1,6 +1,6 @@
 /**
  * MRI Cross-Sectional Viewer
- * Implements exact formula: Slice number = a * y + b * x - c
+ * Implements exact formula: Slice number = a * y + b * x - c (see correlationEngine.js)
  * Follows the correlation table for shoulder anatomy
  */
 
@@ -13,22 +13,16 @@ class MRIViewer {
             3: 'coronal'    // Right - vp3
         };
 
-        // Viewport JSON keys mapping
-        this.VIEWPORT_KEYS = {
-            'sagittal': 'vp1',  // Left
-            'axial': 'vp2',     // Middle  
-            'coronal': 'vp3'    // Right
-        };
+        // Correlation coefficients, loaded from correlationTables.json. The region comes
+        // from the study's metadata; studies that name none use the default
+        this.defaultRegion = 'shoulder';
+        this.region = this.defaultRegion;
+        this.regionProfiles = {};
+        this.coefficients = null;
+        this.regionProfile = null;
 
-        // Exact correlation coefficients from the table
-        this.SHOULDER_COEFFICIENTS = {
-            'axial_to_sagittal': { a: -11.68, b: 19.22, c: -4.08 },     // Ssag(Ax)
-            'coronal_to_sagittal': { a: -1.26, b: 25.88, c: 3.01 },     // Ssag(Cor)
-            'sagittal_to_axial': { a: -30.71, b: -0.67, c: -26.41 },    // Sax(Sag)
-            'coronal_to_axial': { a: -34.74, b: 0.00, c: -29.48 },      // Sax(Cor)
-            'sagittal_to_coronal': { a: 0.00, b: 24.29, c: 1.71 },      // Scor(Sag)
-            'axial_to_coronal': { a: -25.50, b: -13.81, c: -30.49 }     // Scor(Ax)
-        };
+        // Study side (laterality); set from the manifest's study metadata
+        this.side = CorrelationEngine.DEFAULT_REFERENCE_SIDE;
 
         // Current slice numbers (starting from 0)
         this.currentSlices = {
@@ -37,6 +31,16 @@ class MRIViewer {
             coronal: 0
         };
 
+        // Where slice images come from (see imageSource.js): the manifest, a test pattern,
+        // or a local folder or DICOM series once one is opened
+        this.imageSource = null;
+
+        // DICOM geometry of the current source, if it has any (enables geometry correlation)
+        this.dicomSeries = null;
+
+        // Images of viewed manifest studies, kept for offline use (see offlineStore.js)
+        this.studyStore = new OfflineStore.StudyImageStore();
+
         // Image cache
         this.imageCache = {
             sagittal: [],
@@ -54,21 +58,103 @@ class MRIViewer {
         // Canvas contexts
         this.contexts = {};
 
+        // Window/level per viewport, and the image each canvas shows (for redrawing)
+        this.windows = {
+            sagittal: { ...WindowLevel.DEFAULT_WINDOW },
+            axial: { ...WindowLevel.DEFAULT_WINDOW },
+            coronal: { ...WindowLevel.DEFAULT_WINDOW }
+        };
+        this.displayedImages = {};
+
+        // Where each image sits inside its canvas once fitted with its aspect ratio kept,
+        // as fractions of the canvas; the rest is letterbox
+        this.imageRects = {};
+
+        // Zoom/pan per viewport (see viewTransform.js); optionally kept equal across planes
+        this.transforms = {
+            sagittal: { ...ViewTransform.IDENTITY_TRANSFORM },
+            axial: { ...ViewTransform.IDENTITY_TRANSFORM },
+            coronal: { ...ViewTransform.IDENTITY_TRANSFORM }
+        };
+        this.syncZoom = false;
+
+        // Cine playback per viewport (see cinePlayer.js), created in setupCine
+        this.cinePlayers = {};
+
+        // This viewer's own events (sliceupdate), so another viewer on the page doesn't redraw
+        this.events = new EventTarget();
+
+        // 1×1 / 1×3 / 2×2 arrangement (see layoutManager.js), created in setupLayout
+        this.layout = null;
+
+        // Reference-line overlay canvases, one per viewport
+        this.overlayContexts = {};
+        this.showReferenceLines = true;
+
+        // Ruler/angle/ellipse measurements per viewport and slice (see measurementTools.js),
+        // and arrows/text/freehand annotations per series and slice, saved in localStorage
+        this.measurements = new MeasurementTools.MeasurementStore();
+        this.annotations = new Annotations.AnnotationStore(window.localStorage);
+        this.measurementContexts = {};
+        this.markupTool = 'none';
+        this.pendingMarkup = null;
+        this.selectedMarkup = null;
+
         // Load real MRI data
         this.loadMRIData();
     }
 
+    async loadCorrelationTables() {
+        const response = await fetch('./correlationTables.json');
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        // Rejects tables written in a different convention
+        const profiles = CorrelationEngine.parseCorrelationTables(await response.json());
+        if (!profiles[this.defaultRegion]) {
+            throw new Error(`No correlation profile for region: ${this.defaultRegion}`);
+        }
+
+        this.regionProfiles = profiles;
+        this.setRegion(this.region);
+    }
+
+    /**
+     * Correlate clicks with a region's coefficient profile. A region without a profile
+     * falls back to the default, so a study is never correlated with a previous study's.
+     * @param {string} [region] - Region id, e.g. from the manifest's study.region.
+     */
+    setRegion(region) {
+        let id = region || this.defaultRegion;
+        if (!this.regionProfiles[id]) {
+            console.warn(`No correlation profile for region: ${id}; using ${this.defaultRegion}`);
+            id = this.defaultRegion;
+        }
+
+        this.region = id;
+        this.regionProfile = this.regionProfiles[id];
+        this.coefficients = this.regionProfile.coefficients;
+        console.log(`Correlation coefficients loaded for ${id}:`, this.coefficients);
+    }
+
     async loadMRIData() {
+        // ?source=test shows a generated test pattern; ?source=<url> another manifest
+        const source = ImageSources.createImageSource(new URLSearchParams(window.location.search).get('source'), { store: this.studyStore });
         try {
-            // Load MRI data (cache-busting removed for production)
-            const response = await fetch('./realMRIImages.json');
-            this.mriData = await response.json();
+            await this.loadCorrelationTables();
+
+            await source.open();
+            this.imageSource = source;
+            this.dicomSeries = source.getSeriesGeometry();
             
-            console.log('MRI data loaded successfully');
-            console.log('Available keys:', Object.keys(this.mriData));
-            console.log('vp1 length:', this.mriData.vp1?.length);
-            console.log('vp2 length:', this.mriData.vp2?.length);
-            console.log('vp3 length:', this.mriData.vp3?.length);
+            console.log('MRI data loaded successfully:', source.label);
+            Object.values(this.VIEWPORTS).forEach(viewport => {
+                console.log(`${viewport} slices:`, source.getSliceCount(viewport));
+            });
+
+            this.setRegion(source.getStudy().region);
+            this.setSide(source.getStudy().side || CorrelationEngine.DEFAULT_REFERENCE_SIDE);
             
             // Initialize image counters
             this.initializeImageCounters();
@@ -77,59 +163,70 @@ class MRIViewer {
             this.initializeViewer();
         } catch (error) {
             console.error('Error loading MRI data:', error);
+            if (error.problems) {
+                this.showSourceProblems(error.problems);
+            }
+
+            // Local DICOM files and folders can still be opened without the manifest
+            if (!this.contexts.axial) {
+                this.imageSource = null;
+                this.initializeViewer();
+            }
         }
     }
 
     initializeImageCounters() {
-        // Set total image counts from the loaded data
-        if (this.mriData.vp1) {
-            this.imageCounters.sagittal.total = this.mriData.vp1.length;
-        }
-        if (this.mriData.vp2) {
-            this.imageCounters.axial.total = this.mriData.vp2.length;
-        }
-        if (this.mriData.vp3) {
-            this.imageCounters.coronal.total = this.mriData.vp3.length;
-        }
+        // Set total image counts from the image source
+        Object.values(this.VIEWPORTS).forEach(viewport => {
+            this.imageCounters[viewport].total = this.imageSource.getSliceCount(viewport);
+        });
 
         // Update the UI with initial counts
         this.updateImageCountDisplay();
+        this.updateSliceRangeDisplay();
         
         console.log('Image counters initialized:', this.imageCounters);
         
-        // Validate JSON data integrity
-        this.validateJsonData();
+        // Gaps, duplicates and other manifest problems
+        this.showSourceProblems(this.imageSource.getProblems());
     }
 
-    validateJsonData() {
-        console.log('\n🔍 JSON DATA VALIDATION:');
-        
-        ['vp1', 'vp2', 'vp3'].forEach((key, index) => {
-            const viewport = ['sagittal', 'axial', 'coronal'][index];
-            const data = this.mriData[key];
-            
-            if (!data) {
-                console.error(`❌ ${key} (${viewport}): Missing data`);
-                return;
-            }
-            
-            console.log(`✅ ${key} (${viewport}): ${data.length} entries`);
-            
-            // Check for missing/invalid entries
-            const invalidEntries = [];
-            data.forEach((item, i) => {
-                if (!item || !item.image || !item.image.startsWith('http')) {
-                    invalidEntries.push(i);
-                }
-            });
-            
-            if (invalidEntries.length > 0) {
-                console.warn(`⚠️ ${key}: Invalid entries at indices: ${invalidEntries.join(', ')}`);
-                invalidEntries.forEach(i => {
-                    console.log(`   Index ${i}:`, data[i]);
-                });
+    getMaxSlice(viewport) {
+        // Highest slice index of the loaded series (0-based)
+        const count = this.imageSource ? this.imageSource.getSliceCount(viewport) : 0;
+        return Math.max(0, count - 1);
+    }
+
+    getMaxSlices() {
+        const maxSlices = {};
+        Object.values(this.VIEWPORTS).forEach(viewport => {
+            maxSlices[viewport] = this.getMaxSlice(viewport);
+        });
+        return maxSlices;
+    }
+
+    showSourceProblems(problems) {
+        problems.forEach(problem => {
+            const message = ImageManifest.formatManifestProblem(problem);
+            if (problem.level === 'error') {
+                console.error(`❌ ${message}`);
+            } else {
+                console.warn(`⚠️ ${message}`);
             }
         });
+
+        // Listed under the debug information until another source is opened
+        const panel = document.getElementById('source-problems');
+        const list = document.getElementById('source-problems-list');
+        if (!panel || !list) return;
+        list.innerHTML = '';
+        problems.forEach(problem => {
+            const item = document.createElement('li');
+            item.className = `source-problem ${problem.level}`;
+            item.textContent = ImageManifest.formatManifestProblem(problem);
+            list.appendChild(item);
+        });
+        panel.hidden = problems.length === 0;
     }
 
     updateImageCountDisplay() {
@@ -142,6 +239,15 @@ class MRIViewer {
             `${this.imageCounters.coronal.loaded}/${this.imageCounters.coronal.total}`;
     }
 
+    updateSliceRangeDisplay() {
+        Object.values(this.VIEWPORTS).forEach(viewport => {
+            const element = document.getElementById(`max-${viewport}`);
+            if (element) {
+                element.textContent = this.getMaxSlice(viewport);
+            }
+        });
+    }
+
     initializeViewer() {
         // Get canvas contexts
         this.contexts = {
@@ -156,8 +262,40 @@ class MRIViewer {
         // Add keyboard navigation
         this.setupKeyboardNavigation();
 
-        // Load initial images
-        this.loadInitialImages();
+        // Left/right study toggle
+        this.setupSideToggle();
+
+        // Reference lines for the other planes' slices
+        this.setupReferenceLines();
+
+        // Local DICOM files (file picker and drag-and-drop)
+        this.setupDicomInput();
+
+        // Right-drag window/level, presets and reset
+        this.setupWindowLevel();
+
+        // Modifier-wheel zoom and drag-to-pan
+        this.setupZoomPan();
+
+        // Cine play/pause, fps and loop/bounce
+        this.setupCine();
+
+        // Measurement and annotation tools
+        this.setupMarkup();
+
+        // Layout modes and double-click maximise; sizes the canvases to their panes
+        this.setupLayout();
+
+        // Tap, swipe, pinch, two-finger pan and long-press menu on touch screens
+        this.setupTouchGestures();
+
+        // List and delete the studies stored for offline use
+        this.setupStoredStudies();
+
+        // Load initial images from the image source, if there is one
+        if (this.imageSource) {
+            this.loadInitialImages();
+        }
     }
 
     setupEventListeners() {
@@ -214,7 +352,1051 @@ class MRIViewer {
         });
     }
 
+    setupWindowLevel() {
+        Object.values(this.VIEWPORTS).forEach(viewport => {
+            const canvas = document.getElementById(`canvas-${viewport}`);
+
+            // Right-drag adjusts the window; suppress the context menu it would open
+            canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+            canvas.addEventListener('mousedown', (e) => {
+                if (e.button !== 2) return;
+                e.preventDefault();
+                this.windowDrag = {
+                    viewport,
+                    startX: e.clientX,
+                    startY: e.clientY,
+                    startWindow: { ...this.windows[viewport] }
+                };
+            });
+
+            const select = document.getElementById(`preset-${viewport}`);
+            if (select) {
+                Object.entries(WindowLevel.WINDOW_PRESETS).forEach(([id, preset]) => {
+                    select.add(new Option(preset.label, id));
+                });
+                const custom = new Option('Custom', 'custom');
+                custom.disabled = true;
+                select.add(custom);
+                select.addEventListener('change', (e) => {
+                    const { center, width } = WindowLevel.WINDOW_PRESETS[e.target.value];
+                    this.setWindow(viewport, { center, width });
+                });
+            }
+
+            const resetButton = document.getElementById(`reset-window-${viewport}`);
+            if (resetButton) {
+                resetButton.addEventListener('click', () => {
+                    this.setWindow(viewport, { ...WindowLevel.DEFAULT_WINDOW });
+                });
+            }
+
+            this.updateWindowDisplay(viewport);
+        });
+
+        document.addEventListener('mousemove', (e) => {
+            if (!this.windowDrag) return;
+            const { viewport, startX, startY, startWindow } = this.windowDrag;
+            const displayWindow = WindowLevel.adjustWindow(startWindow, e.clientX - startX, e.clientY - startY);
+
+            // Redraw at most once per frame while dragging
+            this.pendingWindow = { viewport, displayWindow };
+            if (!this.windowFrame) {
+                this.windowFrame = requestAnimationFrame(() => {
+                    this.windowFrame = null;
+                    this.setWindow(this.pendingWindow.viewport, this.pendingWindow.displayWindow);
+                });
+            }
+        });
+        document.addEventListener('mouseup', (e) => {
+            if (e.button === 2) {
+                this.windowDrag = null;
+            }
+        });
+    }
+
+    setupZoomPan() {
+        const DRAG_THRESHOLD = 4; // px before a left-drag becomes a pan instead of a click
+
+        Object.values(this.VIEWPORTS).forEach(viewport => {
+            const canvas = document.getElementById(`canvas-${viewport}`);
+
+            canvas.addEventListener('mousedown', (e) => {
+                // Left-drag places and edits measurements and annotations while a tool is selected
+                if (e.button !== 0 || this.markupTool !== 'none') return;
+                this.panDrag = {
+                    viewport,
+                    startX: e.clientX,
+                    startY: e.clientY,
+                    startTransform: { ...this.transforms[viewport] },
+                    rect: canvas.getBoundingClientRect(),
+                    moved: false
+                };
+            });
+
+            const resetButton = document.getElementById(`reset-view-${viewport}`);
+            if (resetButton) {
+                resetButton.addEventListener('click', () => {
+                    this.setTransform(viewport, { ...ViewTransform.IDENTITY_TRANSFORM });
+                });
+            }
+            this.updateZoomDisplay(viewport);
+        });
+
+        document.addEventListener('mousemove', (e) => {
+            if (!this.panDrag) return;
+            const { viewport, startX, startY, startTransform, rect } = this.panDrag;
+            const dx = e.clientX - startX;
+            const dy = e.clientY - startY;
+            if (!this.panDrag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+
+            this.panDrag.moved = true;
+            this.setTransform(viewport, ViewTransform.panBy(startTransform, dx / rect.width, dy / rect.height));
+        });
+        document.addEventListener('mouseup', (e) => {
+            if (e.button !== 0 || !this.panDrag) return;
+            // A drag that panned must not also count as a correlation click
+            this.suppressClick = this.panDrag.moved;
+            this.panDrag = null;
+        });
+
+        const syncToggle = document.getElementById('sync-zoom');
+        if (syncToggle) {
+            syncToggle.addEventListener('change', (e) => {
+                this.syncZoom = e.target.checked;
+                const source = this.focusedViewport || 'axial';
+                if (this.syncZoom) {
+                    this.setTransform(source, this.transforms[source]);
+                }
+            });
+        }
+    }
+
+    setupTouchGestures() {
+        Object.values(this.VIEWPORTS).forEach(viewport => {
+            const canvas = document.getElementById(`canvas-${viewport}`);
+
+            TouchGestures.attachTouchGestures(canvas, {
+                // Same path as a mouse click, so zoom and letterbox handling stay in one place
+                onTap: ({ x, y }) => {
+                    canvas.dispatchEvent(new MouseEvent('click', { clientX: x, clientY: y, bubbles: true }));
+                },
+                onSwipe: (direction) => {
+                    const current = this.currentSlices[viewport];
+                    const next = Math.max(0, Math.min(this.getMaxSlice(viewport), current + direction));
+                    if (next !== current) {
+                        this.updateSliceOnly(viewport, next);
+                        this.highlightActiveViewport(viewport);
+                    }
+                },
+                onPinch: (factor, center) => {
+                    const rect = canvas.getBoundingClientRect();
+                    const u = (center.x - rect.left) / rect.width;
+                    const v = (center.y - rect.top) / rect.height;
+                    this.setTransform(viewport, ViewTransform.zoomAt(this.transforms[viewport], factor, u, v));
+                },
+                onPan: (dx, dy) => {
+                    const rect = canvas.getBoundingClientRect();
+                    this.setTransform(viewport, ViewTransform.panBy(this.transforms[viewport], dx / rect.width, dy / rect.height));
+                },
+                onLongPress: ({ x, y }) => {
+                    TouchGestures.showGestureMenu(x, y, this.getGestureMenuItems(viewport));
+                }
+            }, {
+                // With a markup tool selected, touches reach the tool as mouse events
+                isEnabled: () => this.markupTool === 'none'
+            });
+        });
+    }
+
+    getGestureMenuItems(viewport) {
+        const cine = this.cinePlayers[viewport];
+        return [
+            { label: cine.isPlaying ? 'Pause cine' : 'Play cine', action: () => cine.toggle() },
+            {
+                label: this.layout.layout === '1x1' ? 'Restore layout' : 'Maximise',
+                action: () => this.layout.toggleMaximize(viewport)
+            },
+            { label: 'Reset zoom', action: () => this.setTransform(viewport, { ...ViewTransform.IDENTITY_TRANSFORM }) },
+            { label: 'Reset window', action: () => this.setWindow(viewport, { ...WindowLevel.DEFAULT_WINDOW }) }
+        ];
+    }
+
+    setupCine() {
+        const fpsInput = document.getElementById('cine-fps');
+        const modeSelect = document.getElementById('cine-mode');
+
+        Object.values(this.VIEWPORTS).forEach(viewport => {
+            const button = document.getElementById(`cine-${viewport}`);
+            this.cinePlayers[viewport] = new Cine.CinePlayer({
+                getSlice: () => this.currentSlices[viewport],
+                getMaxSlice: () => this.getMaxSlice(viewport),
+                // Only slices already in memory, so playback never waits on a download
+                isSliceReady: (slice) => Boolean(this.imageSource && (this.imageSource.isLocal || this.imageCache[viewport][slice])),
+                showSlice: (slice) => this.updateSliceOnly(viewport, slice),
+                onStateChange: (playing) => {
+                    if (button) {
+                        button.textContent = playing ? '⏸' : '▶';
+                        button.title = playing ? 'Pause cine (Space)' : 'Play cine (Space)';
+                    }
+                },
+                fps: fpsInput ? fpsInput.value : undefined,
+                mode: modeSelect ? modeSelect.value : undefined
+            });
+            if (button) {
+                button.addEventListener('click', () => this.cinePlayers[viewport].toggle());
+            }
+        });
+
+        if (fpsInput) {
+            fpsInput.addEventListener('change', (e) => {
+                Object.values(this.cinePlayers).forEach(player => player.setFps(e.target.value));
+                e.target.value = this.cinePlayers.axial.fps;
+            });
+        }
+        if (modeSelect) {
+            modeSelect.addEventListener('change', (e) => {
+                Object.values(this.cinePlayers).forEach(player => player.setMode(e.target.value));
+            });
+        }
+
+        // Space plays/pauses the focused viewport
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== ' ' || !this.focusedViewport) return;
+            e.preventDefault();
+            this.cinePlayers[this.focusedViewport].toggle();
+        });
+    }
+
+    pauseCine() {
+        Object.values(this.cinePlayers).forEach(player => player.pause());
+    }
+
+    setupStoredStudies() {
+        const button = document.getElementById('stored-studies-toggle');
+        const panel = document.getElementById('stored-studies');
+        if (!button || !panel) return;
+
+        button.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            if (!panel.hidden) {
+                OfflineStore.renderStoredStudies(panel, this.studyStore, () => {
+                    document.getElementById('last-calculation').textContent = 'Stored study deleted - its images will download again when viewed';
+                });
+            }
+        });
+    }
+
+    setupLayout() {
+        const panes = {};
+        Object.values(this.VIEWPORTS).forEach(viewport => {
+            const canvas = document.getElementById(`canvas-${viewport}`);
+            panes[viewport] = canvas.closest('.viewport');
+
+            canvas.addEventListener('dblclick', () => {
+                // Double-clicks while placing markup belong to the tool
+                if (this.markupTool !== 'none') return;
+                this.layout.toggleMaximize(viewport);
+            });
+        });
+
+        const select = document.getElementById('layout-select');
+        if (select) {
+            Object.entries(Layouts.LAYOUTS).forEach(([id, layout]) => select.add(new Option(layout.label, id)));
+            select.addEventListener('change', (e) => {
+                this.layout.setLayout(e.target.value, this.focusedViewport || this.layout.activeViewport);
+            });
+        }
+
+        // Canvases are sized from their panes, so redraw whenever the panes change size
+        const container = document.querySelector('.viewer-container');
+        container.addEventListener('layoutchange', (e) => {
+            if (select) {
+                select.value = e.detail.layout;
+            }
+            this.resizeCanvases();
+        });
+        window.addEventListener('resize', () => this.resizeCanvases());
+        this.events.addEventListener('sliceupdate', () => this.updateInfoPanel());
+
+        this.layout = new Layouts.LayoutManager({
+            container,
+            panes,
+            infoPane: document.getElementById('viewport-info'),
+            activeViewport: 'axial'
+        });
+    }
+
+    resizeCanvases() {
+        Object.values(this.VIEWPORTS).forEach(viewport => {
+            const canvas = document.getElementById(`canvas-${viewport}`);
+            const width = canvas.parentElement.clientWidth;
+            const height = canvas.parentElement.clientHeight;
+            // Hidden panes (1×1 layout) have no size; they are resized when shown again
+            if (!width || !height || (canvas.width === width && canvas.height === height)) return;
+
+            [canvas, this.overlayContexts[viewport]?.canvas, this.measurementContexts[viewport]?.canvas].forEach(target => {
+                if (target) {
+                    target.width = width;
+                    target.height = height;
+                }
+            });
+            if (this.displayedImages[viewport]) {
+                this.drawSlice(viewport, this.displayedImages[viewport], false);
+            } else {
+                this.drawMarkup(viewport);
+            }
+        });
+        this.drawReferenceLines();
+
+        const locator = document.getElementById('locator-canvas');
+        if (locator && locator.parentElement.clientWidth) {
+            locator.width = locator.parentElement.clientWidth;
+            locator.height = locator.parentElement.clientHeight;
+        }
+        this.updateInfoPanel();
+    }
+
+    updateInfoPanel() {
+        const pane = document.getElementById('viewport-info');
+        if (!pane || pane.classList.contains('layout-hidden')) return;
+
+        const positions = {};
+        Object.values(this.VIEWPORTS).forEach(viewport => {
+            const maxSlice = this.getMaxSlice(viewport);
+            positions[viewport] = maxSlice > 0 ? this.currentSlices[viewport] / maxSlice : 0.5;
+        });
+        const locator = document.getElementById('locator-canvas');
+        if (locator) {
+            Layouts.drawLocator(locator.getContext('2d'), positions, CorrelationEngine.PLANE_COLORS);
+        }
+
+        const details = document.getElementById('info-details');
+        if (details) {
+            const rows = [
+                ['Source', this.imageSource ? this.imageSource.label : 'None'],
+                ['Region', this.region],
+                ['Side', this.side],
+                ...Object.values(this.VIEWPORTS).map(viewport => [
+                    viewport, `${this.currentSlices[viewport]} / ${this.getMaxSlice(viewport)}`
+                ])
+            ];
+            details.innerHTML = rows.map(([term, value]) => `<dt>${term}</dt><dd>${value}</dd>`).join('');
+        }
+    }
+
+    setupMarkup() {
+        const HANDLE_TOLERANCE = 0.02; // image units (~6px on a 300px viewport)
+
+        Object.values(this.VIEWPORTS).forEach(viewport => {
+            const canvas = document.getElementById(`canvas-${viewport}`);
+
+            // Own overlay above the reference lines, so each layer can redraw on its own
+            const overlay = document.createElement('canvas');
+            overlay.className = 'measurement-overlay';
+            overlay.width = canvas.width;
+            overlay.height = canvas.height;
+            canvas.parentElement.appendChild(overlay);
+            this.measurementContexts[viewport] = overlay.getContext('2d');
+
+            canvas.addEventListener('mousedown', (e) => {
+                if (e.button !== 0 || this.markupTool === 'none') return;
+                const point = this.eventToImagePoint(e, viewport);
+                if (!point) return;
+
+                const slice = this.currentSlices[viewport];
+                const items = this.getMarkupItems(viewport, slice).reverse();
+
+                // Drag a handle of an existing measurement, arrow or label to edit it
+                // (freehand outlines have too many points to edit; select and delete them instead)
+                for (const item of items) {
+                    if (item.type === 'freehand') continue;
+                    const handle = MeasurementTools.hitTestHandle(item, point, HANDLE_TOLERANCE);
+                    if (handle !== -1) {
+                        this.selectedMarkup = { kind: item.kind, id: item.id };
+                        this.markupDrag = { viewport, kind: item.kind, id: item.id, handle };
+                        this.drawMarkup(viewport);
+                        return;
+                    }
+                }
+
+                if (this.pendingMarkup) {
+                    this.addMarkupPoint(point);
+                    return;
+                }
+
+                // Clicking an item's lines selects it (for Delete)
+                const hit = items.find(item => this.hitTestMarkup(item, point, HANDLE_TOLERANCE));
+                if (hit) {
+                    this.selectedMarkup = { kind: hit.kind, id: hit.id };
+                    this.drawMarkup(viewport);
+                    return;
+                }
+
+                this.selectedMarkup = null;
+                this.startMarkup(viewport, slice, point);
+            });
+        });
+
+        document.addEventListener('mousemove', (e) => {
+            const active = this.markupDrag || this.pendingMarkup;
+            if (!active) return;
+            const point = this.eventToImagePoint(e, active.viewport);
+            if (!point) return;
+
+            if (this.markupDrag) {
+                const { kind, id, handle } = this.markupDrag;
+                const store = kind === 'annotation' ? this.annotations : this.measurements;
+                store.movePoint(id, handle, point);
+            } else if (this.pendingMarkup.tool === 'freehand') {
+                // Freehand follows the mouse while the button is held
+                const points = this.pendingMarkup.points;
+                const last = points[points.length - 1];
+                if (!this.pendingMarkup.pressedAt) return;
+                if (Math.hypot(point.x - last.x, point.y - last.y) > 0.005) {
+                    points.push(point);
+                }
+            } else {
+                this.pendingMarkup.points[this.pendingMarkup.points.length - 1] = point;
+            }
+            this.drawMarkup(active.viewport);
+        });
+
+        document.addEventListener('mouseup', (e) => {
+            if (e.button !== 0) return;
+            if (this.markupDrag) {
+                const { kind, id } = this.markupDrag;
+                if (kind === 'measurement') {
+                    const measurement = this.measurements.get(id);
+                    console.log(`📏 Edited ${measurement.tool} on ${measurement.viewport} slice ${measurement.slice}: ${this.formatMeasurement(measurement)}`);
+                } else {
+                    // Saved once per drag rather than on every move
+                    this.annotations.save();
+                }
+                this.markupDrag = null;
+                return;
+            }
+
+            const pending = this.pendingMarkup;
+            if (!pending || !pending.pressedAt) return;
+            const pressedAt = pending.pressedAt;
+            pending.pressedAt = null;
+
+            if (pending.tool === 'freehand') {
+                this.commitMarkup();
+                return;
+            }
+
+            // Press-drag-release places the next point at the release position
+            const point = this.eventToImagePoint(e, pending.viewport);
+            if (point && Math.hypot(point.x - pressedAt.x, point.y - pressedAt.y) > HANDLE_TOLERANCE) {
+                this.addMarkupPoint(point);
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.pendingMarkup) {
+                const { viewport } = this.pendingMarkup;
+                this.pendingMarkup = null;
+                this.drawMarkup(viewport);
+            } else if ((e.key === 'Delete' || e.key === 'Backspace') && this.selectedMarkup) {
+                e.preventDefault();
+                this.deleteSelectedMarkup();
+            }
+        });
+
+        const select = document.getElementById('markup-tool');
+        if (select) {
+            select.add(new Option('Tools: Off', 'none'));
+            const measureGroup = document.createElement('optgroup');
+            measureGroup.label = 'Measure';
+            Object.entries(MeasurementTools.MEASUREMENT_TOOLS).forEach(([id, tool]) => {
+                measureGroup.appendChild(new Option(tool.label, id));
+            });
+            const annotateGroup = document.createElement('optgroup');
+            annotateGroup.label = 'Annotate';
+            Object.entries(Annotations.ANNOTATION_TYPES).forEach(([id, type]) => {
+                annotateGroup.appendChild(new Option(type.label, id));
+            });
+            select.append(measureGroup, annotateGroup);
+            select.addEventListener('change', (e) => this.setMarkupTool(e.target.value));
+        }
+
+        const deleteButton = document.getElementById('delete-markup');
+        if (deleteButton) {
+            deleteButton.addEventListener('click', () => this.deleteSelectedMarkup());
+        }
+
+        this.setupAnnotationFiles();
+
+        const loaded = this.annotations.load();
+        if (loaded > 0) {
+            console.log(`📝 Restored ${loaded} saved annotation(s)`);
+        }
+    }
+
+    setupAnnotationFiles() {
+        const exportButton = document.getElementById('export-annotations');
+        if (exportButton) {
+            exportButton.addEventListener('click', () => {
+                const blob = new Blob([JSON.stringify(this.annotations.toJSON(), null, 2)], { type: 'application/json' });
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = 'annotations.json';
+                link.click();
+                URL.revokeObjectURL(link.href);
+            });
+        }
+
+        const importInput = document.getElementById('import-annotations');
+        if (importInput) {
+            importInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (!file) return;
+
+                const debugElement = document.getElementById('last-calculation');
+                try {
+                    const count = this.annotations.importJSON(await file.text());
+                    debugElement.textContent = `Imported ${count} annotation(s) from ${file.name}`;
+                    Object.values(this.VIEWPORTS).forEach(viewport => this.drawMarkup(viewport));
+                } catch (error) {
+                    console.error('Annotation import failed:', error);
+                    debugElement.textContent = `Annotation import failed: ${error.message}`;
+                }
+            });
+        }
+    }
+
+    // Annotations are keyed by series so they follow the images, not the viewport
+    getSeriesId(viewport) {
+        if (this.dicomSeries) {
+            return this.dicomSeries[viewport][0].seriesInstanceUID || `dicom:${viewport}`;
+        }
+        return `${this.imageSource?.getStudy().id || 'manifest'}:${viewport}`;
+    }
+
+    // Measurements and annotations shown on a slice, tagged with their kind
+    getMarkupItems(viewport, slice) {
+        return [
+            ...this.measurements.list(viewport, slice).map(m => ({ ...m, kind: 'measurement', type: m.tool })),
+            ...this.annotations.list(this.getSeriesId(viewport), slice).map(a => ({ ...a, kind: 'annotation' }))
+        ];
+    }
+
+    hitTestMarkup(item, point, tolerance) {
+        switch (item.type) {
+            case 'arrow':
+                return MeasurementTools.hitTestPolyline(item.points, point, tolerance);
+            case 'freehand':
+                return MeasurementTools.hitTestPolyline([...item.points, item.points[0]], point, tolerance);
+            case 'text':
+                return MeasurementTools.hitTestHandle(item, point, tolerance * 2) !== -1;
+            default:
+                return MeasurementTools.hitTestMeasurement(item, point, tolerance);
+        }
+    }
+
+    setMarkupTool(tool) {
+        this.markupTool = tool;
+        const pending = this.pendingMarkup;
+        this.pendingMarkup = null;
+        if (pending) {
+            this.drawMarkup(pending.viewport);
+        }
+        document.querySelectorAll('.image-container').forEach(container => {
+            container.classList.toggle('measuring', tool !== 'none');
+        });
+    }
+
+    startMarkup(viewport, slice, point) {
+        if (this.markupTool === 'text') {
+            const text = window.prompt('Annotation text');
+            if (text && text.trim()) {
+                this.pendingMarkup = { viewport, slice, tool: 'text', points: [point], text: text.trim() };
+                this.commitMarkup();
+            }
+            return;
+        }
+
+        // Freehand collects points while dragging; other tools' last point follows the mouse until placed
+        const points = this.markupTool === 'freehand' ? [point] : [point, point];
+        this.pendingMarkup = { viewport, slice, tool: this.markupTool, points, pressedAt: point };
+        this.drawMarkup(viewport);
+    }
+
+    addMarkupPoint(point) {
+        const pending = this.pendingMarkup;
+        pending.points[pending.points.length - 1] = point;
+
+        const required = (MeasurementTools.MEASUREMENT_TOOLS[pending.tool] || Annotations.ANNOTATION_TYPES[pending.tool]).points;
+        if (pending.points.length < required) {
+            // Next point follows the mouse
+            pending.points.push(point);
+            this.drawMarkup(pending.viewport);
+            return;
+        }
+        this.commitMarkup();
+    }
+
+    commitMarkup() {
+        const pending = this.pendingMarkup;
+        this.pendingMarkup = null;
+
+        if (MeasurementTools.MEASUREMENT_TOOLS[pending.tool]) {
+            const measurement = this.measurements.add(pending.viewport, pending.slice, pending.tool, pending.points);
+            this.selectedMarkup = { kind: 'measurement', id: measurement.id };
+            console.log(`📏 ${MeasurementTools.MEASUREMENT_TOOLS[measurement.tool].label} on ${measurement.viewport} slice ${measurement.slice}: ${this.formatMeasurement(measurement)}`);
+        } else {
+            try {
+                const annotation = this.annotations.add({
+                    series: this.getSeriesId(pending.viewport),
+                    slice: pending.slice,
+                    type: pending.tool,
+                    points: pending.points,
+                    text: pending.text
+                });
+                this.selectedMarkup = { kind: 'annotation', id: annotation.id };
+                console.log(`📝 ${Annotations.ANNOTATION_TYPES[annotation.type].label} on ${pending.viewport} slice ${annotation.slice}`);
+            } catch (error) {
+                // e.g. a freehand click without a drag has a single point
+                console.warn('Annotation not added:', error.message);
+            }
+        }
+        this.drawMarkup(pending.viewport);
+    }
+
+    deleteSelectedMarkup() {
+        if (!this.selectedMarkup) return;
+        const { kind, id } = this.selectedMarkup;
+        const store = kind === 'annotation' ? this.annotations : this.measurements;
+        const item = store.get(id);
+        if (!item) return;
+
+        store.remove(id);
+        this.selectedMarkup = null;
+        const viewport = kind === 'annotation'
+            ? Object.values(this.VIEWPORTS).find(v => this.getSeriesId(v) === item.series)
+            : item.viewport;
+        console.log(`🗑️ Deleted ${item.tool || item.type} on ${viewport} slice ${item.slice}`);
+        if (viewport) {
+            this.drawMarkup(viewport);
+        }
+    }
+
+    getMeasurementScale(viewport, slice) {
+        const img = this.displayedImages[viewport];
+        const dicomSlice = this.dicomSeries && this.dicomSeries[viewport][slice];
+        return MeasurementTools.getMeasurementScale({
+            naturalWidth: img ? (img.naturalWidth || img.width) : 1,
+            naturalHeight: img ? (img.naturalHeight || img.height) : 1,
+            pixelSpacing: dicomSlice ? dicomSlice.pixelSpacing : null,
+            fov: dicomSlice ? null : this.getFieldOfView(viewport)
+        });
+    }
+
+    getFieldOfView(viewport) {
+        // The manifest's FOV for the series, else the one recorded in the region profile
+        const series = this.imageSource && this.imageSource.getSeriesInfo(viewport);
+        return (series && series.fov) || MeasurementTools.getProfileFieldOfView(this.regionProfile, viewport);
+    }
+
+    formatMeasurement(measurement) {
+        return MeasurementTools.formatMeasurement(measurement, this.getMeasurementScale(measurement.viewport, measurement.slice));
+    }
+
+    drawMarkup(viewport) {
+        const ctx = this.measurementContexts[viewport];
+        if (!ctx) return;
+        const { width, height } = ctx.canvas;
+        ctx.clearRect(0, 0, width, height);
+
+        const slice = this.currentSlices[viewport];
+        const items = this.getMarkupItems(viewport, slice);
+        const pending = this.pendingMarkup;
+        if (pending && pending.viewport === viewport && pending.slice === slice) {
+            items.push({ ...pending, kind: 'pending', type: pending.tool });
+        }
+
+        items.forEach(item => {
+            const points = item.points.map(p => this.imageToCanvasPixels(viewport, p.x, p.y, width, height));
+            const selected = this.selectedMarkup && this.selectedMarkup.kind === item.kind && this.selectedMarkup.id === item.id;
+            const color = selected ? '#ff9800' : item.kind === 'annotation' ? '#ffeb3b' : '#00e5ff';
+
+            ctx.save();
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.font = '12px sans-serif';
+            ctx.shadowColor = '#000';
+            ctx.shadowBlur = 3;
+
+            switch (item.type) {
+                case 'ellipse': {
+                    const [a, b] = points;
+                    ctx.beginPath();
+                    ctx.ellipse((a.x + b.x) / 2, (a.y + b.y) / 2, Math.abs(b.x - a.x) / 2, Math.abs(b.y - a.y) / 2, 0, 0, 2 * Math.PI);
+                    ctx.stroke();
+                    break;
+                }
+                case 'arrow': {
+                    const [tail, head] = points;
+                    const angle = Math.atan2(head.y - tail.y, head.x - tail.x);
+                    ctx.beginPath();
+                    ctx.moveTo(tail.x, tail.y);
+                    ctx.lineTo(head.x, head.y);
+                    ctx.moveTo(head.x - 10 * Math.cos(angle - Math.PI / 6), head.y - 10 * Math.sin(angle - Math.PI / 6));
+                    ctx.lineTo(head.x, head.y);
+                    ctx.lineTo(head.x - 10 * Math.cos(angle + Math.PI / 6), head.y - 10 * Math.sin(angle + Math.PI / 6));
+                    ctx.stroke();
+                    break;
+                }
+                case 'text':
+                    ctx.font = 'bold 13px sans-serif';
+                    ctx.fillText(item.text, points[0].x + 6, points[0].y + 4);
+                    break;
+                default: {
+                    // Ruler, angle and freehand outlines are polylines; finished outlines are closed
+                    ctx.beginPath();
+                    points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+                    if (item.type === 'freehand' && item.kind !== 'pending') {
+                        ctx.closePath();
+                    }
+                    ctx.stroke();
+                }
+            }
+
+            // Handles (not for freehand outlines, which are selected and deleted as a whole)
+            if (item.type !== 'freehand') {
+                points.forEach(p => ctx.fillRect(p.x - 3, p.y - 3, 6, 6));
+            }
+
+            // Measurement value next to the last point, once every point is placed
+            const tool = MeasurementTools.MEASUREMENT_TOOLS[item.type];
+            if (tool && item.points.length === tool.points) {
+                const last = points[points.length - 1];
+                ctx.fillText(this.formatMeasurement({ ...item, tool: item.type, viewport, slice }), last.x + 6, last.y - 6);
+            }
+            ctx.restore();
+        });
+    }
+
+    zoomViewport(event, viewport) {
+        const rect = event.target.getBoundingClientRect();
+        const u = (event.clientX - rect.left) / rect.width;
+        const v = (event.clientY - rect.top) / rect.height;
+        const factor = event.deltaY < 0 ? 1.15 : 1 / 1.15;
+        this.setTransform(viewport, ViewTransform.zoomAt(this.transforms[viewport], factor, u, v));
+    }
+
+    setTransform(viewport, transform) {
+        const targets = this.syncZoom ? Object.values(this.VIEWPORTS) : [viewport];
+        targets.forEach(target => {
+            this.transforms[target] = { ...transform };
+            this.updateZoomDisplay(target);
+
+            const img = this.displayedImages[target];
+            if (img) {
+                this.drawSlice(target, img, false);
+            }
+        });
+        this.drawReferenceLines();
+    }
+
+    updateZoomDisplay(viewport) {
+        const element = document.getElementById(`zoom-${viewport}`);
+        if (element) {
+            element.textContent = `${Math.round(this.transforms[viewport].zoom * 100)}%`;
+        }
+    }
+
+    setWindow(viewport, displayWindow) {
+        this.windows[viewport] = displayWindow;
+        this.updateWindowDisplay(viewport);
+
+        const img = this.displayedImages[viewport];
+        if (img) {
+            this.drawSlice(viewport, img, false);
+        }
+    }
+
+    updateWindowDisplay(viewport) {
+        const { center, width } = this.windows[viewport];
+        document.getElementById(`ww-${viewport}`).textContent = width;
+        document.getElementById(`wl-${viewport}`).textContent = center;
+
+        const select = document.getElementById(`preset-${viewport}`);
+        if (select) {
+            const preset = Object.entries(WindowLevel.WINDOW_PRESETS)
+                .find(([, p]) => p.center === center && p.width === width);
+            select.value = preset ? preset[0] : 'custom';
+        }
+    }
+
+    setupDicomInput() {
+        const input = document.getElementById('dicom-input');
+        if (input) {
+            input.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.loadDicomFiles(e.target.files);
+                }
+                e.target.value = '';
+            });
+        }
+
+        // A folder of images with one subfolder per plane (see LocalFolderSource)
+        const folderInput = document.getElementById('folder-input');
+        if (folderInput) {
+            folderInput.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.loadImageFolder(e.target.files);
+                }
+                e.target.value = '';
+            });
+        }
+
+        const dropZone = document.querySelector('.viewer-container');
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', () => {
+            dropZone.classList.remove('drag-over');
+        });
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+            if (e.dataTransfer.files.length > 0) {
+                this.loadDicomFiles(e.dataTransfer.files);
+            }
+        });
+    }
+
+    async loadDicomFiles(files) {
+        const debugElement = document.getElementById('last-calculation');
+        debugElement.textContent = `Reading ${files.length} DICOM file(s)...`;
+
+        const { series, side, skipped } = await DicomLoader.loadDicomFiles(files);
+        const missing = Object.values(this.VIEWPORTS).filter(viewport => !series[viewport]);
+        if (missing.length > 0) {
+            console.error('DICOM load incomplete, missing planes:', missing, 'skipped files:', skipped);
+            debugElement.textContent = `DICOM load failed: no ${missing.join('/')} series found (${skipped.length} file(s) skipped)`;
+            return;
+        }
+
+        console.log('📂 DICOM series loaded:', Object.fromEntries(
+            Object.entries(series).map(([viewport, slices]) => [viewport, slices.length])
+        ));
+
+        this.setImageSource(new ImageSources.DicomSource(series, side));
+
+        debugElement.textContent = `Loaded DICOM: ${Object.values(this.VIEWPORTS).map(v => `${v} ${series[v].length}`).join(', ')}` +
+            (skipped.length > 0 ? ` (${skipped.length} file(s) skipped)` : '');
+    }
+
+    loadImageFolder(files) {
+        const debugElement = document.getElementById('last-calculation');
+        const source = new ImageSources.LocalFolderSource(files);
+        const missing = source.getMissingPlanes();
+        if (missing.length > 0) {
+            console.error('Folder load incomplete, missing planes:', missing);
+            debugElement.textContent = `Folder load failed: no images in a ${missing.join('/')} subfolder`;
+            source.close();
+            return;
+        }
+
+        this.setImageSource(source);
+        debugElement.textContent = `Loaded ${source.label}: ${Object.values(this.VIEWPORTS).map(v => `${v} ${source.getSliceCount(v)}`).join(', ')}`;
+    }
+
+    setImageSource(source) {
+        if (this.imageSource && this.imageSource !== source) {
+            this.imageSource.close();
+        }
+
+        // Swap the image source and reset per-series state
+        this.pauseCine();
+        this.imageSource = source;
+        this.dicomSeries = source.getSeriesGeometry();
+        this.measurements.clear();
+        this.pendingMarkup = null;
+        this.selectedMarkup = null;
+        Object.values(this.VIEWPORTS).forEach(viewport => {
+            this.imageCache[viewport] = [];
+            this.imageCounters[viewport] = { total: source.getSliceCount(viewport), loaded: 0 };
+            this.currentSlices[viewport] = Math.floor(this.getMaxSlice(viewport) / 2);
+        });
+        this.updateImageCountDisplay();
+        this.updateSliceRangeDisplay();
+        this.showSourceProblems(source.getProblems());
+
+        const { region, side } = source.getStudy();
+        this.setRegion(region);
+        if (side) {
+            this.setSide(side);
+        }
+
+        for (const viewport of Object.values(this.VIEWPORTS)) {
+            this.updateSliceOnly(viewport, this.currentSlices[viewport]);
+            document.getElementById(`loading-${viewport}`).classList.add('hidden');
+        }
+    }
+
+    async getSliceImage(viewport, sliceNumber) {
+        // Cached per slice like a loaded <img>; null if the source changed while loading
+        if (!this.imageCache[viewport][sliceNumber]) {
+            const source = this.imageSource;
+            const image = await source.getImage(viewport, sliceNumber);
+            if (source !== this.imageSource) {
+                return null;
+            }
+            if (!this.imageCache[viewport][sliceNumber]) {
+                this.imageCache[viewport][sliceNumber] = image;
+                this.imageCounters[viewport].loaded++;
+                this.updateImageCountDisplay();
+                console.log(`✅ Loaded ${viewport} slice ${sliceNumber} - Progress: ${this.imageCounters[viewport].loaded}/${this.imageCounters[viewport].total}`);
+            }
+        }
+        return this.imageCache[viewport][sliceNumber];
+    }
+
+    setupReferenceLines() {
+        Object.values(this.VIEWPORTS).forEach(viewport => {
+            const canvas = document.getElementById(`canvas-${viewport}`);
+
+            // Transparent canvas stacked over the image canvas; clicks pass through
+            const overlay = document.createElement('canvas');
+            overlay.className = 'reference-overlay';
+            overlay.width = canvas.width;
+            overlay.height = canvas.height;
+            canvas.parentElement.appendChild(overlay);
+            this.overlayContexts[viewport] = overlay.getContext('2d');
+
+            // Frame each viewport in its plane's colour so lines can be matched to viewports
+            canvas.parentElement.style.borderColor = CorrelationEngine.PLANE_COLORS[viewport];
+        });
+
+        this.events.addEventListener('sliceupdate', () => this.drawReferenceLines());
+
+        const button = document.getElementById('reference-lines-toggle');
+        if (button) {
+            button.addEventListener('click', () => {
+                this.showReferenceLines = !this.showReferenceLines;
+                button.textContent = this.showReferenceLines ? 'Reference Lines: On' : 'Reference Lines: Off';
+                this.drawReferenceLines();
+            });
+        }
+    }
+
+    drawReferenceLines() {
+        Object.entries(this.overlayContexts).forEach(([viewport, ctx]) => {
+            const { width, height } = ctx.canvas;
+            ctx.clearRect(0, 0, width, height);
+            if (!this.showReferenceLines) return;
+
+            // DICOM geometry gives exact lines in display coordinates; coefficient lines
+            // are in the coefficients' side and are mirrored into the displayed study side
+            const geometryLines = CorrelationEngine.locateSlicesByGeometry(this.dicomSeries, viewport, this.currentSlices);
+            if (!geometryLines && !this.coefficients) return;
+            const { lines } = geometryLines || CorrelationEngine.locateSlices(this.coefficients, viewport, this.currentSlices);
+            const referenceSide = this.getReferenceSide();
+            const mirrorSide = geometryLines ? referenceSide : this.side;
+
+            lines.forEach(({ target, line }) => {
+                if (!line) return;
+
+                const toCanvas = (x, y) => this.imageToCanvasPixels(
+                    viewport, CorrelationEngine.mirrorForSide(x, viewport, mirrorSide, referenceSide), 1 - y, width, height
+                );
+                const start = toCanvas(line.x1, line.y1);
+                const end = toCanvas(line.x2, line.y2);
+
+                ctx.save();
+                ctx.strokeStyle = CorrelationEngine.PLANE_COLORS[target];
+                ctx.lineWidth = 1;
+                ctx.setLineDash([6, 4]);
+                ctx.beginPath();
+                ctx.moveTo(start.x, start.y);
+                ctx.lineTo(end.x, end.y);
+                ctx.stroke();
+                ctx.restore();
+            });
+        });
+    }
+
+    dispatchSliceUpdate(viewport, sliceNumber) {
+        // Like MRIViewportManager's slicechange, scoped to this viewer
+        this.events.dispatchEvent(new CustomEvent('sliceupdate', {
+            detail: {
+                viewport,
+                sliceNumber,
+                currentSlices: { ...this.currentSlices }
+            }
+        }));
+    }
+
+    setupSideToggle() {
+        const button = document.getElementById('side-toggle');
+        if (!button) return;
+
+        button.addEventListener('click', () => {
+            this.setSide(this.side === 'right' ? 'left' : 'right');
+        });
+    }
+
+    /**
+     * Side the region's coefficients were measured on (the profile's metadata.reference_side)
+     */
+    getReferenceSide() {
+        const metadata = this.regionProfile && this.regionProfile.metadata;
+        return (metadata && metadata.reference_side) || CorrelationEngine.DEFAULT_REFERENCE_SIDE;
+    }
+
+    setSide(side) {
+        if (!CorrelationEngine.SIDES.includes(side)) {
+            console.error(`Unknown study side: ${side}`);
+            return;
+        }
+
+        this.side = side;
+        console.log(`Study side: ${side}`);
+
+        const button = document.getElementById('side-toggle');
+        if (button) {
+            button.textContent = `Side: ${side === 'right' ? 'Right' : 'Left'}`;
+        }
+        this.updateOrientationLabels();
+        this.drawReferenceLines();
+        this.updateInfoPanel();
+    }
+
+    updateOrientationLabels() {
+        Object.values(this.VIEWPORTS).forEach(viewport => {
+            const container = document.getElementById(`canvas-${viewport}`)?.parentElement;
+            if (!container) return;
+
+            const labels = CorrelationEngine.getOrientationLabels(viewport, this.side);
+            Object.entries(labels).forEach(([edge, text]) => {
+                let label = container.querySelector(`.orientation-label.${edge}`);
+                if (!label) {
+                    label = document.createElement('span');
+                    label.className = `orientation-label ${edge}`;
+                    container.appendChild(label);
+                }
+                label.textContent = text;
+            });
+        });
+    }
+
     handleCanvasClick(event, sourceViewport) {
+        // The mouseup of a pan drag also fires a click; it is not a correlation click
+        if (this.suppressClick) {
+            this.suppressClick = false;
+            return;
+        }
+
+        // With a measurement or annotation tool selected, clicks place points instead (see setupMarkup)
+        if (this.markupTool !== 'none') return;
+
         const canvas = event.target;
         const rect = canvas.getBoundingClientRect();
         
@@ -222,9 +1404,16 @@ class MRIViewer {
         const rawX = event.clientX - rect.left;
         const rawY = event.clientY - rect.top;
 
-        // Normalize coordinates to 0-1 range (divide by canvas dimensions)
-        const normalizedX = rawX / canvas.width;
-        const normalizedY = rawY / canvas.height;
+        // Undo zoom/pan to get the canvas point under the cursor (0-1, y from the top)
+        const canvasPoint = ViewTransform.screenToImage(this.transforms[sourceViewport], rawX / rect.width, rawY / rect.height);
+
+        // Normalize within the image itself (0-1, y measured from the bottom); letterbox clicks are ignored
+        const normalized = CorrelationEngine.normalizeClickInRect(canvasPoint.x, canvasPoint.y, this.getImageRect(sourceViewport));
+        if (!normalized) {
+            console.log(`Click in ${sourceViewport} letterbox area, ignoring`);
+            return;
+        }
+        const { x: normalizedX, y: normalizedY } = normalized;
 
         // Update coordinates display
         this.updateCoordinatesDisplay(rawX, rawY, normalizedX, normalizedY);
@@ -232,6 +1421,9 @@ class MRIViewer {
         // Highlight active viewport
         this.highlightActiveViewport(sourceViewport);
 
+        // Correlating moves the other viewports; stop cine so it doesn't move them on
+        this.pauseCine();
+
         // Calculate and update cross-sectional slices
         this.calculateCrossSectionalSlices(normalizedX, normalizedY, sourceViewport);
     }
@@ -239,6 +1431,12 @@ class MRIViewer {
     handleCanvasScroll(event, viewport) {
         // Prevent page scrolling
         event.preventDefault();
+
+        // Ctrl/Cmd + wheel zooms instead of changing slices (trackpad pinch arrives this way too)
+        if (event.ctrlKey || event.metaKey) {
+            this.zoomViewport(event, viewport);
+            return;
+        }
         
         // Get current slice
         let currentSlice = this.currentSlices[viewport];
@@ -249,8 +1447,8 @@ class MRIViewer {
         // Calculate new slice number
         let newSlice = currentSlice + scrollDirection;
         
-        // Clamp to valid range (0-20)
-        newSlice = Math.max(0, Math.min(20, newSlice));
+        // Clamp to valid range (0 to last slice of this series)
+        newSlice = Math.max(0, Math.min(this.getMaxSlice(viewport), newSlice));
         
         console.log(`Scroll: ${viewport} from ${currentSlice} to ${newSlice}`);
         
@@ -288,7 +1486,7 @@ class MRIViewer {
         
         // Get current slice for focused viewport
         let currentSlice = this.currentSlices[this.focusedViewport];
-        let newSlice = Math.max(0, Math.min(20, currentSlice + direction));
+        let newSlice = Math.max(0, Math.min(this.getMaxSlice(this.focusedViewport), currentSlice + direction));
         
         if (newSlice !== currentSlice) {
             this.updateSliceOnly(this.focusedViewport, newSlice);
@@ -297,69 +1495,45 @@ class MRIViewer {
     }
 
     calculateCrossSectionalSlices(x, y, sourceViewport) {
-        let calculations = [];
-
-        // Based on source viewport, calculate the other two viewports
-        switch (sourceViewport) {
-            case 'sagittal':
-                // Sax(Sag): Calculate axial slice
-                const axialSlice = this.calculateSlice(x, y, this.SHOULDER_COEFFICIENTS.sagittal_to_axial);
-                this.updateSlice('axial', axialSlice);
-                calculations.push(`Sax(Sag): ${axialSlice}`);
-
-                // Scor(Sag): Calculate coronal slice  
-                const coronalSlice = this.calculateSlice(x, y, this.SHOULDER_COEFFICIENTS.sagittal_to_coronal);
-                this.updateSlice('coronal', coronalSlice);
-                calculations.push(`Scor(Sag): ${coronalSlice}`);
-                break;
+        // DICOM series with full geometry are cross-referenced in patient space
+        const geometry = CorrelationEngine.correlateByGeometry(
+            this.dicomSeries, sourceViewport, this.currentSlices[sourceViewport], x, y
+        );
+        if (geometry) {
+            const calculations = geometry.results.map(result => {
+                this.updateSlice(result.target, result.slice);
+                return `${result.target}: ${result.slice} (${result.distance.toFixed(1)} mm)`;
+            });
+            this.updateDebugInfo(calculations, x, y, 'geometry');
+            return;
+        }
 
-            case 'axial':
-                // Ssag(Ax): Calculate sagittal slice
-                const sagittalSlice = this.calculateSlice(x, y, this.SHOULDER_COEFFICIENTS.axial_to_sagittal);
-                this.updateSlice('sagittal', sagittalSlice);
-                calculations.push(`Ssag(Ax): ${sagittalSlice}`);
+        if (!this.coefficients) {
+            console.error('Correlation coefficients not loaded. Cannot process click.');
+            return;
+        }
 
-                // Scor(Ax): Calculate coronal slice
-                const coronalSlice2 = this.calculateSlice(x, y, this.SHOULDER_COEFFICIENTS.axial_to_coronal);
-                this.updateSlice('coronal', coronalSlice2);
-                calculations.push(`Scor(Ax): ${coronalSlice2}`);
-                break;
+        // Coefficients were measured on the reference side; mirror x for the other side
+        const formulaX = CorrelationEngine.mirrorForSide(x, sourceViewport, this.side, this.getReferenceSide());
 
-            case 'coronal':
-                // Ssag(Cor): Calculate sagittal slice
-                const sagittalSlice2 = this.calculateSlice(x, y, this.SHOULDER_COEFFICIENTS.coronal_to_sagittal);
-                this.updateSlice('sagittal', sagittalSlice2);
-                calculations.push(`Ssag(Cor): ${sagittalSlice2}`);
+        // Based on source viewport, calculate the other two viewports
+        const results = CorrelationEngine.correlateClick(
+            this.coefficients, sourceViewport, formulaX, y, this.getMaxSlices()
+        );
 
-                // Sax(Cor): Calculate axial slice
-                const axialSlice2 = this.calculateSlice(x, y, this.SHOULDER_COEFFICIENTS.coronal_to_axial);
-                this.updateSlice('axial', axialSlice2);
-                calculations.push(`Sax(Cor): ${axialSlice2}`);
-                break;
-        }
+        const calculations = results.map(result => {
+            this.updateSlice(result.target, result.slice);
+            return `${result.label}: ${result.slice}`;
+        });
 
         // Update debug information
-        this.updateDebugInfo(calculations, x, y);
-    }
-
-    /**
-     * Core calculation function following exact formula: Slice number = a * y + b * x - c
-     * @param {number} x - Normalized x coordinate (0-1)
-     * @param {number} y - Normalized y coordinate (0-1)  
-     * @param {object} coefficients - Object with a, b, c values
-     * @returns {number} - Calculated slice number (0-20)
-     */
-    calculateSlice(x, y, coefficients) {
-        // Apply exact formula: Slice number = a * y + b * x - c
-        const slice = coefficients.a * y + coefficients.b * x - coefficients.c;
-        
-        // Round to nearest integer and clamp to valid range (0-20)
-        return Math.round(Math.max(0, Math.min(20, slice)));
+        this.updateDebugInfo(calculations, x, y, 'coefficients');
     }
 
     updateSlice(viewport, sliceNumber) {
         // Update current slice
         this.currentSlices[viewport] = sliceNumber;
+        this.dispatchSliceUpdate(viewport, sliceNumber);
         
         // Update UI
         document.getElementById(`slice-${viewport}`).textContent = sliceNumber;
@@ -371,6 +1545,7 @@ class MRIViewer {
     updateSliceOnly(viewport, sliceNumber) {
         // Update only the specified viewport (used for scroll navigation)
         this.currentSlices[viewport] = sliceNumber;
+        this.dispatchSliceUpdate(viewport, sliceNumber);
         
         // Update UI
         document.getElementById(`slice-${viewport}`).textContent = sliceNumber;
@@ -380,96 +1555,91 @@ class MRIViewer {
     }
 
     async loadAndDisplaySlice(viewport, sliceNumber) {
+        if (!this.imageSource) {
+            return;
+        }
         try {
-            // Get the viewport key (vp1, vp2, vp3)
-            const viewportKey = this.VIEWPORT_KEYS[viewport];
-            
-            // Debug logging
-            console.log(`Loading ${viewport} (${viewportKey}) slice ${sliceNumber}`);
-            console.log('MRI Data keys:', Object.keys(this.mriData));
-            console.log(`Viewport data length:`, this.mriData[viewportKey]?.length);
-            
-            // Check if viewport data exists
-            if (!this.mriData[viewportKey]) {
-                console.error(`Viewport data not found for ${viewportKey}`);
-                return;
-            }
-            
-            // Get the image object for this slice
-            const imageObj = this.mriData[viewportKey][sliceNumber];
-            
-            if (!imageObj || !imageObj.image) {
-                console.error(`No image found for ${viewport} (${viewportKey}) slice ${sliceNumber}`);
-                console.error(`Available slices: 0-${this.mriData[viewportKey].length - 1}`);
-                return;
+            const image = await this.getSliceImage(viewport, sliceNumber);
+            if (image) {
+                this.drawSlice(viewport, image);
             }
-            
-            const imageUrl = imageObj.image;
+        } catch (error) {
+            console.error(`Error loading ${viewport} slice ${sliceNumber}:`, error);
+        }
+    }
 
-            // Load image if not cached
-            if (!this.imageCache[viewport][sliceNumber]) {
-                const img = new Image();
-                img.crossOrigin = 'anonymous';
-                
-                await new Promise((resolve, reject) => {
-                    img.onload = () => {
-                        this.imageCache[viewport][sliceNumber] = img;
-                        
-                        // Increment loaded counter if not already counted
-                        if (this.imageCounters[viewport].loaded < this.imageCounters[viewport].total) {
-                            this.imageCounters[viewport].loaded++;
-                            this.updateImageCountDisplay();
-                        }
-                        
-                        console.log(`✅ Loaded ${viewport} slice ${sliceNumber} - Progress: ${this.imageCounters[viewport].loaded}/${this.imageCounters[viewport].total}`);
-                        resolve();
-                    };
-                    img.onerror = (error) => {
-                        console.warn(`⚠️ CORS failed for ${viewport} slice ${sliceNumber}, trying without CORS: ${imageUrl}`);
-                        
-                        // Try again without CORS
-                        const img2 = new Image();
-                        img2.onload = () => {
-                            this.imageCache[viewport][sliceNumber] = img2;
-                            
-                            if (this.imageCounters[viewport].loaded < this.imageCounters[viewport].total) {
-                                this.imageCounters[viewport].loaded++;
-                                this.updateImageCountDisplay();
-                            }
-                            
-                            console.log(`✅ Loaded ${viewport} slice ${sliceNumber} without CORS - Progress: ${this.imageCounters[viewport].loaded}/${this.imageCounters[viewport].total}`);
-                            resolve();
-                        };
-                        img2.onerror = (error2) => {
-                            console.error(`❌ Complete failure for ${viewport} slice ${sliceNumber}: ${imageUrl}`, error2);
-                            reject(error2);
-                        };
-                        img2.src = imageUrl;
-                    };
-                    img.src = imageUrl;
-                });
-            }
+    drawSlice(viewport, img, animate = true) {
+        const canvas = document.getElementById(`canvas-${viewport}`);
+        const ctx = this.contexts[viewport];
+        this.displayedImages[viewport] = img;
 
-            // Draw the image
-            const canvas = document.getElementById(`canvas-${viewport}`);
-            const ctx = this.contexts[viewport];
-            const img = this.imageCache[viewport][sliceNumber];
+        // Clear canvas
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        
+        // Fit the image with its aspect ratio kept (letterboxed), then zoom and pan
+        const fitted = CorrelationEngine.fitImageRect(
+            img.naturalWidth || img.width, img.naturalHeight || img.height, canvas.width, canvas.height
+        );
+        this.imageRects[viewport] = {
+            x: fitted.x / canvas.width,
+            y: fitted.y / canvas.height,
+            width: fitted.width / canvas.width,
+            height: fitted.height / canvas.height
+        };
+        const { zoom, panX, panY } = this.transforms[viewport];
+        ctx.setTransform(zoom, 0, 0, zoom, panX * canvas.width, panY * canvas.height);
+        ctx.drawImage(img, fitted.x, fitted.y, fitted.width, fitted.height);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+        // Window/level on the drawn pixels
+        const displayWindow = this.windows[viewport];
+        if (!WindowLevel.isDefaultWindow(displayWindow)) {
+            try {
+                const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+                ctx.putImageData(WindowLevel.applyWindowLevel(imageData, displayWindow), 0, 0);
+            } catch (error) {
+                // Images loaded without CORS taint the canvas, so their pixels can't be read
+                console.warn(`⚠️ Window/level unavailable for ${viewport}: image is cross-origin without CORS`, error);
+            }
+        }
+        
+        this.drawMarkup(viewport);
 
-            // Clear canvas
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-            
-            // Draw image to fill canvas
-            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-            
-            // Add slice transition animation
+        // Add slice transition animation
+        if (animate) {
             canvas.classList.add('slice-transition');
             setTimeout(() => canvas.classList.remove('slice-transition'), 300);
-
-        } catch (error) {
-            console.error(`Error loading ${viewport} slice ${sliceNumber}:`, error);
         }
     }
 
+    getImageRect(viewport) {
+        // Until an image is drawn, assume it fills the canvas
+        return this.imageRects[viewport] || { x: 0, y: 0, width: 1, height: 1 };
+    }
+
+    // Image point (0-1 across the image, y from the top) to pixels on a canvas of the given
+    // size, through the letterbox and the viewport's zoom/pan
+    imageToCanvasPixels(viewport, x, y, width, height) {
+        const imageRect = this.getImageRect(viewport);
+        const { u, v } = ViewTransform.imageToScreen(
+            this.transforms[viewport], imageRect.x + x * imageRect.width, imageRect.y + y * imageRect.height
+        );
+        return { x: u * width, y: v * height };
+    }
+
+    // Mouse event to an image point (0-1 across the image, y from the top); null in the letterbox
+    eventToImagePoint(event, viewport) {
+        const canvas = document.getElementById(`canvas-${viewport}`);
+        const rect = canvas.getBoundingClientRect();
+        const canvasPoint = ViewTransform.screenToImage(
+            this.transforms[viewport], (event.clientX - rect.left) / rect.width, (event.clientY - rect.top) / rect.height
+        );
+        const imageRect = this.getImageRect(viewport);
+        const x = (canvasPoint.x - imageRect.x) / imageRect.width;
+        const y = (canvasPoint.y - imageRect.y) / imageRect.height;
+        return x < 0 || x > 1 || y < 0 || y > 1 ? null : { x, y };
+    }
+
     async loadInitialImages() {
         // Load slice 0 for all viewports
         for (const viewport of ['sagittal', 'axial', 'coronal']) {
@@ -489,13 +1659,12 @@ class MRIViewer {
         const failedImages = [];
 
         viewports.forEach(viewport => {
-            const viewportKey = this.VIEWPORT_KEYS[viewport];
-            const imageArray = this.mriData[viewportKey];
+            const count = this.imageSource.getSliceCount(viewport);
             
-            if (imageArray) {
-                console.log(`📊 ${viewport} (${viewportKey}): Expected ${imageArray.length} images`);
+            if (count > 0) {
+                console.log(`📊 ${viewport}: Expected ${count} images`);
                 // Preload all slices for this viewport with staggered loading
-                for (let i = 1; i < imageArray.length; i++) { // Skip slice 0 as it's already loaded
+                for (let i = 1; i < count; i++) { // Skip slice 0 as it's already loaded
                     // Add small delay between requests to avoid overwhelming the server
                     const delay = Math.floor(i / 5) * 100; // 100ms delay every 5 images
                     
@@ -562,14 +1731,13 @@ class MRIViewer {
             const missing = byViewport[viewport];
             console.log(`❌ ${viewport.toUpperCase()}: Missing slices ${missing.join(', ')}`);
             
-            // Check if these images exist in the JSON
-            const viewportKey = this.VIEWPORT_KEYS[viewport];
+            // Check if the source has these images at all
             missing.forEach(slice => {
-                const imageObj = this.mriData[viewportKey][slice];
-                if (imageObj && imageObj.image) {
-                    console.log(`   Slice ${slice}: URL exists but failed to load - ${imageObj.image}`);
+                const imageUrl = this.imageSource.getImageUrl(viewport, slice);
+                if (imageUrl) {
+                    console.log(`   Slice ${slice}: URL exists but failed to load - ${imageUrl}`);
                 } else {
-                    console.log(`   Slice ${slice}: Missing from JSON data`);
+                    console.log(`   Slice ${slice}: Missing from ${this.imageSource.label}`);
                 }
             });
         });
@@ -582,13 +1750,12 @@ class MRIViewer {
         console.log('\n🧪 Testing failed URLs directly:');
         
         for (const {viewport, slice} of failedImages) {
-            const viewportKey = this.VIEWPORT_KEYS[viewport];
-            const imageObj = this.mriData[viewportKey][slice];
+            const imageUrl = this.imageSource.getImageUrl(viewport, slice);
             
-            if (imageObj && imageObj.image) {
+            if (imageUrl && imageUrl.startsWith('http')) {
                 try {
-                    const response = await fetch(imageObj.image, {method: 'HEAD'});
-                    console.log(`🌐 ${viewport} slice ${slice}: HTTP ${response.status} - ${imageObj.image}`);
+                    const response = await fetch(imageUrl, {method: 'HEAD'});
+                    console.log(`🌐 ${viewport} slice ${slice}: HTTP ${response.status} - ${imageUrl}`);
                 } catch (error) {
                     console.log(`🌐 ${viewport} slice ${slice}: Network error - ${error.message}`);
                 }
@@ -598,53 +1765,10 @@ class MRIViewer {
 
     async preloadSingleImage(viewport, sliceNumber) {
         try {
-            const viewportKey = this.VIEWPORT_KEYS[viewport];
-            const imageObj = this.mriData[viewportKey][sliceNumber];
-            
-            if (!imageObj || !imageObj.image) {
-                return Promise.reject(`No image data for ${viewport} slice ${sliceNumber}`);
-            }
-
-            // Skip if already cached
-            if (this.imageCache[viewport][sliceNumber]) {
-                return Promise.resolve();
-            }
-
-            const imageUrl = imageObj.image;
-            const img = new Image();
-            
-            // Try different CORS settings
-            img.crossOrigin = 'anonymous';
-
-            return new Promise((resolve, reject) => {
-                img.onload = () => {
-                    this.imageCache[viewport][sliceNumber] = img;
-                    this.imageCounters[viewport].loaded++;
-                    this.updateImageCountDisplay();
-                    resolve();
-                };
-                img.onerror = (error) => {
-                    console.warn(`⚠️ Failed to preload ${viewport} slice ${sliceNumber}: ${imageUrl}`);
-                    
-                    // Try again without CORS
-                    const img2 = new Image();
-                    img2.onload = () => {
-                        console.log(`✅ Loaded ${viewport} slice ${sliceNumber} without CORS`);
-                        this.imageCache[viewport][sliceNumber] = img2;
-                        this.imageCounters[viewport].loaded++;
-                        this.updateImageCountDisplay();
-                        resolve();
-                    };
-                    img2.onerror = (error2) => {
-                        console.error(`❌ Complete failure for ${viewport} slice ${sliceNumber}: ${imageUrl}`);
-                        reject(`Both CORS and non-CORS attempts failed`);
-                    };
-                    img2.src = imageUrl;
-                };
-                img.src = imageUrl;
-            });
+            await this.getSliceImage(viewport, sliceNumber);
         } catch (error) {
-            return Promise.reject(error);
+            console.warn(`⚠️ Failed to preload ${viewport} slice ${sliceNumber}:`, error.message);
+            throw error;
         }
     }
 
@@ -669,9 +1793,16 @@ class MRIViewer {
         }, 2000);
     }
 
-    updateDebugInfo(calculations, x, y) {
+    updateDebugInfo(calculations, x, y, mode) {
+        const modeElement = document.getElementById('correlation-mode');
+        if (modeElement) {
+            modeElement.textContent = mode === 'geometry'
+                ? 'Geometry (DICOM patient coordinates)'
+                : `Coefficient table (${this.region})`;
+        }
+
         const debugElement = document.getElementById('last-calculation');
-        const calculationText = `x=${x.toFixed(3)}, y=${y.toFixed(3)} | ${calculations.join(', ')}`;
+        const calculationText = `${this.side} side | x=${x.toFixed(3)}, y=${y.toFixed(3)} | ${calculations.join(', ')}`;
         debugElement.textContent = calculationText;
     }
 
@@ -689,4 +1820,5 @@ class MRIViewer {
 // Initialize the MRI viewer when the page loads
 document.addEventListener('DOMContentLoaded', () => {
     window.mriViewer = new MRIViewer();
-}); 
\ No newline at end of file
+});
+OfflineStore.registerOfflineWorker(); 
\ No newline at end of file
@@ -1,7 +1,66 @@
+/**
+ * Anatomical regions listed in the Parameters workbook. The coefficient profile
+ * for a region is stored under `<id>_correlations` in correlationTables.json.
+ */
+const ANATOMICAL_REGIONS = [
+  { id: 'shoulder', label: 'Shoulder' },
+  { id: 'upper_arm', label: 'Upper arm' },
+  { id: 'elbow', label: 'Elbow' },
+  { id: 'lower_arm', label: 'Lower arm' },
+  { id: 'wrist', label: 'Wrist' },
+  { id: 'finger', label: 'Finger' },
+  { id: 'hip', label: 'Hip' },
+  { id: 'upper_leg', label: 'Upper leg' },
+  { id: 'knee', label: 'Knee' },
+  { id: 'lower_leg', label: 'Lower leg' },
+  { id: 'ankle', label: 'Ankle' },
+  { id: 'foot', label: 'Foot' },
+];
+
+const DEFAULT_REGION = 'shoulder';
+
+/**
+ * What moved a slice, reported as `cause` on `slicechange` events.
+ */
+const SLICE_CHANGE_CAUSES = ['scroll', 'click', 'keyboard', 'slider', 'button', 'touch', 'cine', 'link', 'programmatic'];
+
+/**
+ * Coefficient calculator: loaded by its own <script> tag in the browser,
+ * required as a sibling module under Node and bundlers.
+ */
+const getCoefficientCalculator = () =>
+  (typeof window !== 'undefined' && window.CoefficientCalculator) || require('./coefficientCalculator');
+
+/**
+ * Correlation engine, resolved the same way.
+ */
+const getCorrelationEngine = () =>
+  (typeof window !== 'undefined' && window.CorrelationEngine) || require('./correlationEngine');
+
+/**
+ * Image sources (imageSource.js), resolved the same way.
+ */
+const getImageSources = () =>
+  (typeof window !== 'undefined' && window.ImageSources) || require('./imageSource');
+
 /**
  * Manages multiple MRI viewports, handling slice synchronization and correlation.
+ *
+ * Each manager is an EventTarget, so viewers on the same page don't see each other's
+ * events. Subscribe with `on(type, handler)` (or addEventListener); the detail of every
+ * event is a plain object:
+ *
+ *   slicechange   { viewport, sliceNumber, previousSlice, currentSlices, cause, sourceViewport, correlation }
+ *   correlate     { sourceViewport, sourceSlice, point, mode, region, side, results, slices, ... }
+ *                 coefficient mode adds referenceSide and formulaPoint (x mirrored for the side),
+ *                 with one { target, label, coefficients, raw, slice } result per target;
+ *                 geometry mode adds patientPoint, with { target, slice, distance } results
+ *   dataloaded    { kind: 'correlation' | 'profile', source, regions }
+ *   regionchange  { region }
+ *   sidechange    { side }
+ *   error         { operation, message, error, sourceViewport }
  */
-class MRIViewportManager {
+class MRIViewportManager extends EventTarget {
   /**
    * @param {Object} viewports - An object containing the DOM elements for the viewports.
    * @param {HTMLElement} viewports.axial - The axial viewport element.
@@ -13,10 +72,17 @@ class MRIViewportManager {
    * @param {number} totalSlices.coronal
    */
   constructor(viewports, totalSlices) {
+    super();
     this.viewports = viewports;
     this.totalSlices = totalSlices;
     this.correlationData = null;
     this.lookupTables = null;
+    this.region = DEFAULT_REGION;
+    this.side = getCorrelationEngine().DEFAULT_REFERENCE_SIDE;
+
+    // Per-slice DICOM geometry for each plane; enables geometry-based correlation
+    this.seriesGeometry = null;
+    this.lastCorrelationMode = null;
 
     this.currentSlices = {
       axial: Math.floor(totalSlices.axial / 2),
@@ -27,6 +93,57 @@ class MRIViewportManager {
     console.log("MRIViewportManager initialized with slices:", this.currentSlices);
   }
 
+  /**
+   * Subscribes to one of this manager's events.
+   * @param {string} type - 'slicechange', 'correlate', 'dataloaded', 'regionchange', 'sidechange' or 'error'.
+   * @param {function(Object, CustomEvent): void} handler - Called with the event detail and the event.
+   * @returns {function(): void} Unsubscribes the handler.
+   */
+  on(type, handler) {
+    const listener = (event) => handler(event.detail, event);
+    if (!this.subscriptions) {
+      this.subscriptions = [];
+    }
+    this.subscriptions.push({ type, handler, listener });
+    this.addEventListener(type, listener);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Removes a handler added with on().
+   * @param {string} type
+   * @param {Function} handler
+   */
+  off(type, handler) {
+    this.subscriptions = (this.subscriptions || []).filter(subscription => {
+      if (subscription.type !== type || subscription.handler !== handler) {
+        return true;
+      }
+      this.removeEventListener(type, subscription.listener);
+      return false;
+    });
+  }
+
+  /**
+   * Dispatches one of this manager's events.
+   * @param {string} type - Event type.
+   * @param {Object} detail - Event detail.
+   */
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  /**
+   * Logs a failure and reports it as an `error` event.
+   * @param {string} operation - What failed, e.g. 'correlate' or 'loadCorrelationData'.
+   * @param {string} message - Human-readable description.
+   * @param {Object} [extra] - More detail fields (error, sourceViewport).
+   */
+  reportError(operation, message, extra = {}) {
+    console.error(message, extra.error || '');
+    this.emit('error', { operation, message, error: null, sourceViewport: null, ...extra });
+  }
+
   /**
    * Loads correlation data from external JSON files.
    * @param {string} tablesPath - Path to the correlation tables JSON.
@@ -38,7 +155,10 @@ class MRIViewportManager {
       if (!tablesResponse.ok) {
         throw new Error('Network response was not ok.');
       }
-      this.correlationData = await tablesResponse.json();
+      const tables = await tablesResponse.json();
+      // Rejects tables written in a different axis/sign/key convention
+      getCorrelationEngine().validateConvention(tables.convention);
+      this.correlationData = tables;
       
       // For backward compatibility, also load lookup tables if different path provided
       if (lookupPath && lookupPath !== tablesPath) {
@@ -55,16 +175,177 @@ class MRIViewportManager {
         this.lookupTables = {};
       }
       
+      const regions = this.getRegions().filter(r => r.available).map(r => r.id);
       console.log("Successfully loaded correlation data with formula-based coefficients.");
       console.log("Available correlations:", Object.keys(this.correlationData));
+      console.log("Regions with profiles:", regions);
+      this.emit('dataloaded', { kind: 'correlation', source: tablesPath, regions });
     } catch (error) {
-      console.error("Failed to load correlation data:", error);
+      this.reportError('loadCorrelationData', `Failed to load correlation data: ${error.message}`, { error });
       // Fallback to empty objects to prevent runtime errors
       this.correlationData = {};
       this.lookupTables = {};
     }
   }
 
+  /**
+   * Loads a single region's coefficient profile from a JSON file and registers it.
+   * The file holds one profile object: `{ convention: {...}, coefficients: {...}, metadata: {...} }`.
+   * @param {string} region - Region id from ANATOMICAL_REGIONS.
+   * @param {string} profilePath - Path to the profile JSON.
+   * @returns {Promise<boolean>} True if the profile was registered.
+   */
+  async loadRegionProfile(region, profilePath) {
+    try {
+      const response = await fetch(profilePath);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      const profile = await response.json();
+      getCorrelationEngine().validateConvention(profile.convention);
+      const registered = this.registerRegionProfile(region, profile);
+      if (registered) {
+        this.emit('dataloaded', { kind: 'profile', source: profilePath, regions: [region] });
+      }
+      return registered;
+    } catch (error) {
+      this.reportError('loadRegionProfile', `Failed to load ${region} profile from ${profilePath}: ${error.message}`, { error });
+      return false;
+    }
+  }
+
+  /**
+   * Adds or replaces the coefficient profile for a region.
+   * A profile that only carries acquisition `geometry` (see coefficientCalculator.js)
+   * has its coefficients calculated here.
+   * @param {string} region - Region id from ANATOMICAL_REGIONS.
+   * @param {Object} profile - Profile object with a `coefficients` or `geometry` map.
+   * @returns {boolean} True if the profile was registered.
+   */
+  registerRegionProfile(region, profile) {
+    if (!ANATOMICAL_REGIONS.some(r => r.id === region)) {
+      console.error(`Unknown anatomical region: ${region}`);
+      return false;
+    }
+    if (profile && !profile.coefficients && profile.geometry) {
+      try {
+        const coefficients = getCoefficientCalculator().calculateCoefficientsFromGeometry(profile.geometry);
+        profile = { ...profile, coefficients };
+        console.log(`Calculated ${region} coefficients from geometry:`, coefficients);
+      } catch (error) {
+        console.error(`Invalid geometry for ${region}:`, error.message);
+        return false;
+      }
+    }
+    if (!profile || !profile.coefficients) {
+      console.error(`Profile for ${region} has no coefficients.`);
+      return false;
+    }
+    if (!this.correlationData) {
+      this.correlationData = {};
+    }
+    this.correlationData[`${region}_correlations`] = profile;
+    console.log(`Registered correlation profile for ${region}`);
+    return true;
+  }
+
+  /**
+   * Lists all known regions and whether a coefficient profile is loaded for each.
+   * @returns {Array<{id: string, label: string, available: boolean}>}
+   */
+  getRegions() {
+    return ANATOMICAL_REGIONS.map(region => ({
+      ...region,
+      available: this.getRegionProfile(region.id) !== null,
+    }));
+  }
+
+  /**
+   * Gets the coefficient profile for a region.
+   * @param {string} [region=this.region] - Region id.
+   * @returns {Object|null} The profile, or null if none is loaded.
+   */
+  getRegionProfile(region = this.region) {
+    if (!this.correlationData) {
+      return null;
+    }
+    return this.correlationData[`${region}_correlations`] || null;
+  }
+
+  /**
+   * Switches the active region. Slices are left where they are; the next click
+   * is correlated with the new region's coefficients.
+   * @param {string} region - Region id with a loaded profile.
+   * @returns {boolean} True if the region was switched.
+   */
+  setRegion(region) {
+    if (!this.getRegionProfile(region)) {
+      console.error(`No correlation profile loaded for region: ${region}`);
+      return false;
+    }
+    if (this.region !== region) {
+      this.region = region;
+      console.log(`Switched correlation region to: ${region}`);
+      this.emit('regionchange', { region });
+    }
+    return true;
+  }
+
+  /**
+   * Sets the study side (laterality). Clicks in lateral planes are mirrored
+   * when the side differs from the side the coefficients were measured on.
+   * @param {string} side - 'right' or 'left'.
+   * @returns {boolean} True if the side is valid.
+   */
+  setSide(side) {
+    if (!getCorrelationEngine().SIDES.includes(side)) {
+      console.error(`Unknown study side: ${side}`);
+      return false;
+    }
+    if (this.side !== side) {
+      this.side = side;
+      console.log(`Study side set to: ${side}`);
+      this.emit('sidechange', { side });
+    }
+    return true;
+  }
+
+  /**
+   * Side the active region's coefficients were measured on.
+   * @returns {string} 'right' or 'left'.
+   */
+  getReferenceSide() {
+    const profile = this.getRegionProfile();
+    return (profile && profile.metadata && profile.metadata.reference_side) ||
+      getCorrelationEngine().DEFAULT_REFERENCE_SIDE;
+  }
+
+  /**
+   * Supplies DICOM geometry for the loaded series. Clicks are then correlated in
+   * patient space instead of with the coefficient table.
+   * @param {Object|null} seriesByPlane - Slices per plane in display order, each with
+   *   imagePositionPatient, imageOrientationPatient, pixelSpacing, rows and columns.
+   *   Pass null to go back to coefficients only.
+   */
+  setSeriesGeometry(seriesByPlane) {
+    this.seriesGeometry = seriesByPlane;
+    console.log(this.hasSeriesGeometry()
+      ? 'Series geometry set: clicks use patient-space cross-referencing'
+      : 'Series geometry incomplete or cleared: clicks use the coefficient table');
+  }
+
+  /**
+   * Whether every plane has complete DICOM geometry.
+   * @returns {boolean}
+   */
+  hasSeriesGeometry() {
+    const engine = getCorrelationEngine();
+    return Boolean(this.seriesGeometry) && engine.PLANES.every(plane => {
+      const series = this.seriesGeometry[plane];
+      return Array.isArray(series) && series.length > 0 && series.every(engine.hasSliceGeometry);
+    });
+  }
+
   /**
    * Gets the current slice number for a given viewport.
    * @param {string} viewport - 'axial', 'sagittal', or 'coronal'.
@@ -74,22 +355,56 @@ class MRIViewportManager {
     return this.currentSlices[viewport];
   }
 
+  /**
+   * Highest valid slice index for a viewport, from the series' slice count.
+   * @param {string} viewport - 'axial', 'sagittal', or 'coronal'.
+   * @returns {number}
+   */
+  getMaxSlice(viewport) {
+    return this.totalSlices[viewport] - 1;
+  }
+
+  /**
+   * Highest valid slice index for every viewport, in the shape correlateClick expects.
+   * @returns {{axial: number, sagittal: number, coronal: number}}
+   */
+  getMaxSlices() {
+    return {
+      axial: this.getMaxSlice('axial'),
+      sagittal: this.getMaxSlice('sagittal'),
+      coronal: this.getMaxSlice('coronal'),
+    };
+  }
+
   /**
    * Sets the current slice for a viewport and triggers an update.
    * @param {string} viewport - 'axial', 'sagittal', or 'coronal'.
    * @param {number} sliceNumber - The new slice number.
-   * @param {boolean} [suppressEvent=false] - If true, do not dispatch update event.
+   * @param {Object} [options]
+   * @param {string} [options.cause='programmatic'] - What moved the slice, from SLICE_CHANGE_CAUSES.
+   * @param {string} [options.sourceViewport] - Viewport whose click selected the slice.
+   * @param {Object} [options.correlation] - How the slice was calculated (see the correlate event).
+   * @param {boolean} [options.silent=false] - If true, do not dispatch a slicechange event.
    */
-  setCurrentSlice(viewport, sliceNumber, suppressEvent = false) {
-    const maxSlice = this.totalSlices[viewport] - 1;
+  setCurrentSlice(viewport, sliceNumber, { cause = 'programmatic', sourceViewport = null, correlation = null, silent = false } = {}) {
+    const maxSlice = this.getMaxSlice(viewport);
     // Clamp the slice number to be within the valid range (0 to maxSlice)
     const clampedSliceNumber = Math.max(0, Math.min(sliceNumber, maxSlice));
+    const previousSlice = this.currentSlices[viewport];
 
-    if (this.currentSlices[viewport] !== clampedSliceNumber) {
+    if (previousSlice !== clampedSliceNumber) {
       this.currentSlices[viewport] = clampedSliceNumber;
-      console.log(`Set ${viewport} slice to: ${clampedSliceNumber}`);
-      if (!suppressEvent) {
-        this.dispatchUpdateEvent(viewport, clampedSliceNumber);
+      console.log(`Set ${viewport} slice to: ${clampedSliceNumber} (${cause})`);
+      if (!silent) {
+        this.emit('slicechange', {
+          viewport,
+          sliceNumber: clampedSliceNumber,
+          previousSlice,
+          currentSlices: { ...this.currentSlices },
+          cause,
+          sourceViewport,
+          correlation
+        });
       }
     }
   }
@@ -111,148 +426,132 @@ class MRIViewportManager {
 
 
   /**
-   * Handle click on a viewport and update correlated slices using formula-based correlations.
-   * Formula: S(x,y) = ax + by + c (rounded to integer, clamped to valid range)
+   * Handle click on a viewport and update correlated slices.
+   * With DICOM geometry for every series (setSeriesGeometry), the click is mapped to a
+   * patient-space point and the nearest slice of each other series is selected.
+   * Otherwise the coefficient formula is used: see correlationEngine.js
+   * (a * y + b * x - c, rounded to integer, clamped to valid range).
    * @param {string} sourceViewport - 'axial', 'sagittal', or 'coronal'.
    * @param {number} x - X coordinate of the click relative to the rendered image.
    * @param {number} y - Y coordinate of the click relative to the rendered image.
    * @param {number} renderedWidth - Width of the rendered image.
    * @param {number} renderedHeight - Height of the rendered image.
-   * @param {number} naturalWidth - Natural width of the image.
+   * @param {number} naturalWidth - Natural width of the image. With the natural height, locates
+   *   the image inside a letterboxed (aspect-preserving) element; omit when it fills the element.
    * @param {number} naturalHeight - Natural height of the image.
+   * @returns {Promise<{mode: string, slices: Object}|undefined>} The mode used ('geometry' or
+   *   'coefficients') and the slices selected, or undefined if the click could not be correlated
+   *   or fell in the letterbox.
    */
   async handleViewportClick(sourceViewport, x, y, renderedWidth, renderedHeight, naturalWidth, naturalHeight) {
     console.log(`=== VIEWPORT CLICK: ${sourceViewport} (${x}, ${y}) ===`);
     console.log(`Rendered image dimensions: ${renderedWidth}x${renderedHeight}`);
     console.log(`Natural image dimensions: ${naturalWidth}x${naturalHeight}`);
-    
-    if (!this.correlationData) {
-        console.error("Correlation data is not loaded. Cannot process click.");
+
+    const engine = getCorrelationEngine();
+
+    // The coordinates are relative to the rendered element; the image keeps its aspect
+    // ratio inside it, so normalise within the image rectangle (y measured from the bottom)
+    const imageRect = engine.fitImageRect(naturalWidth, naturalHeight, renderedWidth, renderedHeight);
+    const normalized = engine.normalizeClickInRect(x, y, imageRect);
+    if (!normalized) {
+        console.log(`Click in ${sourceViewport} letterbox area, ignoring`);
         return;
     }
-    
-    if (!this.correlationData.shoulder_correlations) {
-        console.error("Shoulder correlations not found in data.");
+    const { x: xNormalized, y: yNormalized } = normalized;
+    console.log(`Image rectangle: ${imageRect.width.toFixed(1)}x${imageRect.height.toFixed(1)} at (${imageRect.x.toFixed(1)}, ${imageRect.y.toFixed(1)})`);
+
+    console.log(`Click coordinates in rendered image: (${x.toFixed(1)}, ${y.toFixed(1)})`);
+    console.log(`Normalized coordinates: X=${xNormalized.toFixed(3)}, Y=${yNormalized.toFixed(3)} (Y-flipped)`);
+
+    if (!engine.PLANES.includes(sourceViewport)) {
+        this.reportError('correlate', `Unknown source viewport: ${sourceViewport}`, { sourceViewport });
         return;
     }
+    const sourceSlice = this.currentSlices[sourceViewport];
 
-    // The coordinates are already relative to the rendered image
-    // Convert to 0-1 coordinate system as specified
-    let xNormalized = x / renderedWidth;
-    // Flip Y-axis: user expects y=0 at bottom, y=1 at top
-    let yNormalized = (renderedHeight - y) / renderedHeight;
+    // Geometry mode: the displayed image is mapped to patient space as-is, so no side mirroring
+    const geometry = engine.correlateByGeometry(
+        this.seriesGeometry, sourceViewport, sourceSlice, xNormalized, yNormalized
+    );
+    if (geometry) {
+        const [px, py, pz] = geometry.point;
+        console.log(`Patient-space point: (${px.toFixed(1)}, ${py.toFixed(1)}, ${pz.toFixed(1)}) mm`);
 
-    console.log(`Click coordinates in rendered image: (${x.toFixed(1)}, ${y.toFixed(1)})`);
-    console.log(`Normalized coordinates: X=${xNormalized.toFixed(3)}, Y=${yNormalized.toFixed(3)} (Y-flipped)`);
+        const results = {};
+        for (const result of geometry.results) {
+            const { target, slice, distance } = result;
+            console.log(`  ${target}: nearest slice ${slice} (${distance.toFixed(1)} mm from the point)`);
+            results[target] = slice;
+            this.setCurrentSlice(target, slice, {
+                cause: 'click', sourceViewport, correlation: { mode: 'geometry', point: geometry.point, distance }
+            });
+        }
+
+        this.lastCorrelationMode = 'geometry';
+        console.log(`${sourceViewport} click result (geometry):`, results);
+        this.emit('correlate', {
+            sourceViewport, sourceSlice, point: normalized, mode: 'geometry',
+            region: this.region, side: this.side,
+            patientPoint: geometry.point, results: geometry.results, slices: results
+        });
+        return { mode: 'geometry', slices: results };
+    }
+    if (this.seriesGeometry) {
+        console.warn('DICOM geometry is incomplete for this click, falling back to the coefficient table');
+    }
 
-    // TODO: Add side selection logic
-    // For now, assuming "right" side. When "left" is selected:
-    // - For viewports 2 and 3, use (1-x) instead of x
-    const sideSelection = "right"; // This should come from UI selection
+    if (!this.correlationData) {
+        this.reportError('correlate', 'Correlation data is not loaded. Cannot process click.', { sourceViewport });
+        return;
+    }
     
-    const coefficients = this.correlationData.shoulder_correlations.coefficients;
-    console.log("Using coefficients:", coefficients);
-
-    // Define slice ranges (0-based indexing, 0 to 20)
-    const minSlice = 0;
-    const maxSlice = 20;
-
-    /**
-     * Calculate slice using formula: S(x,y) = ax + by + c
-     * @param {Object} coeff - Coefficients {a, b, c}
-     * @param {number} x - X coordinate (0-1)
-     * @param {number} y - Y coordinate (0-1)
-     * @returns {number} - Clamped slice number
-     */
-    const calculateSlice = (coeff, x, y) => {
-      const rawResult = coeff.a * x + coeff.b * y + coeff.c;
-      const roundedResult = Math.round(rawResult);
-      const clampedResult = Math.max(minSlice, Math.min(maxSlice, roundedResult));
-      
-      console.log(`  Formula: ${coeff.a} * ${x.toFixed(3)} + ${coeff.b} * ${y.toFixed(3)} + ${coeff.c} = ${rawResult.toFixed(2)} → rounded: ${roundedResult} → clamped: ${clampedResult}`);
-      
-      return clampedResult;
-    };
+    const profile = this.getRegionProfile();
+    if (!profile) {
+        this.reportError('correlate', `No correlation profile loaded for region: ${this.region}`, { sourceViewport });
+        return;
+    }
 
-    // Apply side selection logic for x coordinate
-    const getXCoordinate = (viewportNumber) => {
-      if (sideSelection === "left" && (viewportNumber === 2 || viewportNumber === 3)) {
-        return 1 - xNormalized;
-      }
-      return xNormalized;
-    };
+    // Mirror lateral planes when the study side differs from the coefficients' side
+    const referenceSide = this.getReferenceSide();
+    const xForFormula = engine.mirrorForSide(xNormalized, sourceViewport, this.side, referenceSide);
+    if (xForFormula !== xNormalized) {
+        console.log(`${this.side} side study: X mirrored to ${xForFormula.toFixed(3)} (coefficients measured on ${referenceSide})`);
+    }
 
-    // Calculate correlations based on source viewport
-    switch (sourceViewport) {
-      case 'axial':
-        console.log("Axial click - calculating sagittal and coronal slices:");
-        
-        // Sagittal (viewport 2) - apply side selection
-        const xForSagittal = getXCoordinate(2);
-        const newSagittalSlice = calculateSlice(coefficients.axial_to_sagittal, xForSagittal, yNormalized);
-        
-        // Coronal (viewport 3) - apply side selection  
-        const xForCoronal = getXCoordinate(3);
-        const newCoronalSlice = calculateSlice(coefficients.axial_to_coronal, xForCoronal, yNormalized);
-        
-        this.setCurrentSlice('sagittal', newSagittalSlice);
-        this.setCurrentSlice('coronal', newCoronalSlice);
-        
-        console.log(`Axial click result: Sagittal=${newSagittalSlice}, Coronal=${newCoronalSlice}`);
-        break;
+    const coefficients = profile.coefficients;
+    console.log(`Using ${this.region} coefficients:`, coefficients);
 
-      case 'sagittal':
-        console.log("Sagittal click - calculating axial and coronal slices:");
-        
-        // Axial (viewport 1) - no side selection needed
-        const newAxialSlice1 = calculateSlice(coefficients.sagittal_to_axial, xNormalized, yNormalized);
-        
-        // Coronal (viewport 3) - apply side selection
-        const xForCoronalFromSag = getXCoordinate(3);
-        const newCoronalSlice1 = calculateSlice(coefficients.sagittal_to_coronal, xForCoronalFromSag, yNormalized);
-        
-        this.setCurrentSlice('axial', newAxialSlice1);
-        this.setCurrentSlice('coronal', newCoronalSlice1);
-        
-        console.log(`Sagittal click result: Axial=${newAxialSlice1}, Coronal=${newCoronalSlice1}`);
-        break;
+    // Slice ranges come from the series (0-based indexing, 0 to count - 1)
+    const maxSlices = this.getMaxSlices();
 
-      case 'coronal':
-        console.log("Coronal click - calculating axial and sagittal slices:");
-        
-        // Axial (viewport 1) - no side selection needed
-        const newAxialSlice2 = calculateSlice(coefficients.coronal_to_axial, xNormalized, yNormalized);
-        
-        // Sagittal (viewport 2) - apply side selection
-        const xForSagittalFromCor = getXCoordinate(2);
-        const newSagittalSlice2 = calculateSlice(coefficients.coronal_to_sagittal, xForSagittalFromCor, yNormalized);
-        
-        this.setCurrentSlice('axial', newAxialSlice2);
-        this.setCurrentSlice('sagittal', newSagittalSlice2);
-        
-        console.log(`Coronal click result: Axial=${newAxialSlice2}, Sagittal=${newSagittalSlice2}`);
-        break;
-        
-      default:
-        console.error("Unknown source viewport:", sourceViewport);
+    let correlations;
+    try {
+        correlations = engine.correlateClick(coefficients, sourceViewport, xForFormula, yNormalized, maxSlices);
+    } catch (error) {
+        this.reportError('correlate', `Cannot correlate ${sourceViewport} click: ${error.message}`, { error, sourceViewport });
         return;
     }
-  }
 
-  /**
-   * Dispatches a custom event to notify listeners of a slice update.
-   * @param {string} viewport - The viewport that was updated.
-   * @param {number} sliceNumber - The new slice number.
-   */
-  dispatchUpdateEvent(viewport, sliceNumber) {
-    const event = new CustomEvent('sliceupdate', {
-      detail: {
-        viewport,
-        sliceNumber,
-        currentSlices: { ...this.currentSlices }
-      }
+    const results = {};
+    for (const correlation of correlations) {
+        const { target, label, coefficients: coeff, raw, slice } = correlation;
+        console.log(`  ${label}: ${coeff.a} * ${yNormalized.toFixed(3)} + ${coeff.b} * ${xForFormula.toFixed(3)} - ${coeff.c} = ${raw.toFixed(2)} → slice ${slice}`);
+        results[target] = slice;
+        this.setCurrentSlice(target, slice, {
+            cause: 'click', sourceViewport, correlation: { mode: 'coefficients', label, coefficients: coeff, raw }
+        });
+    }
+
+    this.lastCorrelationMode = 'coefficients';
+    console.log(`${sourceViewport} click result (coefficients):`, results);
+    this.emit('correlate', {
+        sourceViewport, sourceSlice, point: normalized, mode: 'coefficients',
+        region: this.region, side: this.side,
+        referenceSide, formulaPoint: { x: xForFormula, y: yNormalized },
+        results: correlations, slices: results
     });
-    document.dispatchEvent(event);
+    return { mode: 'coefficients', slices: results };
   }
 
   /**
@@ -265,38 +564,269 @@ class MRIViewportManager {
     const delta = Math.sign(event.deltaY); // -1 for up, 1 for down
     const currentSlice = this.getCurrentSlice(viewport);
     const newSlice = currentSlice + delta;
-    this.setCurrentSlice(viewport, newSlice);
+    this.setCurrentSlice(viewport, newSlice, { cause: 'scroll' });
   }
 }
 
+// In-flight prefetches further than this many slices from the focus are cancelled
+const PREFETCH_KEEP_RADIUS = 3;
+
+// Default memory budget of MRIImageCache; DICOM-size studies need a bound, 63 JPEGs never reach it
+const DEFAULT_CACHE_BUDGET_BYTES = 256 * 1024 * 1024;
+// Slices this close to a displayed or correlated slice are never evicted
+const PROTECTED_NEIGHBOURS = 2;
+
+/**
+ * Order in which to prefetch slices: the slices a click just correlated to, then outward
+ * from each viewport's current slice (current, +1, -1, +2, -2, ...), taking one distance
+ * step in every viewport before the next so that no viewport waits for the others.
+ * @param {Object<string, number>} sliceCounts - Number of slices per viewport.
+ * @param {Object<string, number>} focus - Current slice per viewport; the middle slice if missing.
+ * @param {Object<string, number>} [targets] - Correlated slice per viewport.
+ * @returns {Array<{viewport: string, slice: number}>} Every slice, once.
+ */
+function getPrefetchOrder(sliceCounts, focus, targets = {}) {
+  const order = [];
+  const seen = new Set();
+  const add = (viewport, slice) => {
+    const key = `${viewport}-${slice}`;
+    if (Number.isInteger(slice) && slice >= 0 && slice < sliceCounts[viewport] && !seen.has(key)) {
+      seen.add(key);
+      order.push({ viewport, slice });
+    }
+  };
+
+  Object.entries(targets).forEach(([viewport, slice]) => {
+    if (viewport in sliceCounts) {
+      add(viewport, slice);
+    }
+  });
+
+  const centers = {};
+  Object.entries(sliceCounts).forEach(([viewport, count]) => {
+    centers[viewport] = Number.isInteger(focus[viewport]) ? focus[viewport] : Math.floor((count - 1) / 2);
+  });
+  const maxCount = Math.max(0, ...Object.values(sliceCounts));
+  for (let distance = 0; distance < maxCount; distance++) {
+    Object.keys(sliceCounts).forEach(viewport => {
+      add(viewport, centers[viewport] + distance);
+      add(viewport, centers[viewport] - distance);
+    });
+  }
+  return order;
+}
+
+/**
+ * @param {string} cacheKey - e.g. 'axial-12'.
+ * @returns {{viewport: string, slice: number}}
+ */
+function parseCacheKey(cacheKey) {
+  const separator = cacheKey.lastIndexOf('-');
+  return { viewport: cacheKey.slice(0, separator), slice: Number(cacheKey.slice(separator + 1)) };
+}
+
+/**
+ * Wait `ms`, or reject with an AbortError as soon as `signal` aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function abortableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Load cancelled', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      if (signal.aborted) {
+        abort();
+      } else {
+        signal.addEventListener('abort', abort, { once: true });
+      }
+    }
+  });
+}
+
 // Advanced Image Caching System
 class MRIImageCache {
-  constructor() {
-    this.cache = new Map();
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxBytes] - Memory budget for cached images. The least recently
+   *   used are evicted beyond it, except the displayed slices and their neighbours.
+   */
+  constructor({ maxBytes = DEFAULT_CACHE_BUDGET_BYTES } = {}) {
+    this.cache = new Map(); // cacheKey -> object URL, least recently used first
+    this.cacheBytes = new Map(); // cacheKey -> image size
+    this.totalBytes = 0;
+    this.maxBytes = maxBytes;
     this.loadingPromises = new Map();
-    this.preloadQueue = [];
     this.isPreloading = false;
+    // Prefetch scheduler state (see preloadImages and setFocus)
+    this.prefetchUrls = null;
+    this.prefetchFocus = {};
+    this.prefetchTargets = {};
+    this.prefetchActive = new Map(); // cacheKey -> { viewport, slice, controller }
+    this.prefetchDone = Promise.resolve();
+    this.resolvePrefetch = () => {};
     this.maxConcurrentLoads = 3; // Reduced from 6 to prevent overwhelming the server
     this.loadingCount = 0;
     this.cacheStats = {
       hits: 0,
       misses: 0,
       preloaded: 0,
-      failed: 0
+      failed: 0,
+      evictions: 0,
+      evictedBytes: 0
     };
     this.failedUrls = new Set(); // Track permanently failed URLs
     this.retryDelays = new Map(); // Track retry delays for exponential backoff
+    this.source = null; // Image source (see imageSource.js) for calls without a URL
+    this.store = null; // Offline store of the source (see offlineStore.js), checked before the network
+  }
+
+  /**
+   * Load from an image source: getImage and preloadImages then only need (viewport, slice).
+   * Images cached from a previous source are dropped. A source with an offline store
+   * (UrlManifestSource's `store` option) serves stored images without a download.
+   * @param {ImageSource} source
+   */
+  setSource(source) {
+    if (this.source && this.source !== source) {
+      this.clearCache();
+    }
+    this.source = source;
+    this.store = (source && source.store) || null;
+  }
+
+  /**
+   * Whether a slice is cached, i.e. can be shown without a network fetch
+   */
+  has(viewport, sliceNumber) {
+    return this.cache.has(`${viewport}-${sliceNumber}`);
+  }
+
+  /**
+   * Cached object URL for a slice without starting a load; null if not cached yet
+   */
+  getCachedUrl(viewport, sliceNumber) {
+    const cacheKey = `${viewport}-${sliceNumber}`;
+    const cached = this.cache.get(cacheKey);
+    if (!cached) {
+      return null;
+    }
+    this.cacheStats.hits++;
+    this.touch(cacheKey);
+    return cached;
+  }
+
+  /**
+   * Mark a cached image as just used. Map keeps insertion order, so re-inserting moves it
+   * to the back of the eviction order.
+   */
+  touch(cacheKey) {
+    const objectUrl = this.cache.get(cacheKey);
+    this.cache.delete(cacheKey);
+    this.cache.set(cacheKey, objectUrl);
+  }
+
+  /**
+   * Add a loaded image and evict down to the budget. The image itself is kept, as its
+   * getImage caller is about to show it.
+   */
+  addToCache(cacheKey, objectUrl, bytes) {
+    this.removeFromCache(cacheKey);
+    this.cache.set(cacheKey, objectUrl);
+    this.cacheBytes.set(cacheKey, bytes);
+    this.totalBytes += bytes;
+    this.enforceBudget(cacheKey);
+  }
+
+  /**
+   * Drop a cached image and revoke its object URL.
+   * @returns {number} Bytes freed.
+   */
+  removeFromCache(cacheKey) {
+    if (!this.cache.has(cacheKey)) {
+      return 0;
+    }
+    const objectUrl = this.cache.get(cacheKey);
+    if (typeof objectUrl === 'string' && objectUrl.startsWith('blob:')) {
+      URL.revokeObjectURL(objectUrl);
+    }
+    const bytes = this.cacheBytes.get(cacheKey) || 0;
+    this.cache.delete(cacheKey);
+    this.cacheBytes.delete(cacheKey);
+    this.totalBytes -= bytes;
+    return bytes;
+  }
+
+  /**
+   * Drop a slice so the next getImage downloads it again, e.g. after it failed to display.
+   */
+  removeImage(viewport, sliceNumber) {
+    this.removeFromCache(`${viewport}-${sliceNumber}`);
+  }
+
+  /**
+   * Whether a slice is within PROTECTED_NEIGHBOURS of its viewport's focus or correlated slice.
+   */
+  isProtected(viewport, sliceNumber) {
+    return [this.prefetchFocus[viewport], this.prefetchTargets[viewport]]
+      .some(center => Number.isInteger(center) && Math.abs(sliceNumber - center) <= PROTECTED_NEIGHBOURS);
+  }
+
+  /**
+   * Evict least recently used images until the cache fits maxBytes. Protected slices stay,
+   * even if that leaves the cache over budget.
+   * @param {string} [keepKey] - An image just added, never evicted in this pass.
+   */
+  enforceBudget(keepKey = null) {
+    if (this.totalBytes <= this.maxBytes) return;
+
+    for (const cacheKey of Array.from(this.cache.keys())) {
+      if (this.totalBytes <= this.maxBytes) break;
+      const { viewport, slice } = parseCacheKey(cacheKey);
+      if (cacheKey === keepKey || this.isProtected(viewport, slice)) continue;
+
+      const bytes = this.removeFromCache(cacheKey);
+      this.cacheStats.evictions++;
+      this.cacheStats.evictedBytes += bytes;
+      console.log(`♻️ Evicted ${cacheKey} (${(bytes / 1024).toFixed(1)}KB)`);
+    }
+
+    if (this.totalBytes > this.maxBytes) {
+      console.warn(`⚠️ Image cache over budget: displayed slices need ${(this.totalBytes / (1024 * 1024)).toFixed(1)}MB`);
+    }
+  }
+
+  /**
+   * Change the memory budget; images beyond it are evicted at once.
+   * @param {number} maxBytes
+   */
+  setMaxBytes(maxBytes) {
+    this.maxBytes = maxBytes;
+    this.enforceBudget();
+    this.schedulePrefetch();
   }
 
   /**
    * Get cached image or load it - optimized version
+   * The URL defaults to the image source's (see setSource). An aborted `signal` rejects
+   * with an AbortError without marking the URL as failed.
    */
-  async getImage(viewport, sliceNumber, imageUrl) {
+  async getImage(viewport, sliceNumber, imageUrl = this.source && this.source.getImageUrl(viewport, sliceNumber), { signal } = {}) {
     const cacheKey = `${viewport}-${sliceNumber}`;
     
     // Return cached image immediately
     if (this.cache.has(cacheKey)) {
       this.cacheStats.hits++;
+      this.touch(cacheKey);
       return this.cache.get(cacheKey);
     }
 
@@ -305,7 +835,10 @@ class MRIImageCache {
       try {
         return await this.loadingPromises.get(cacheKey);
       } catch (error) {
-        console.error(`Failed to wait for loading promise: ${cacheKey}`, error);
+        // A prefetch the scheduler cancelled is not a failure; load it for this caller
+        if (error.name !== 'AbortError') {
+          console.error(`Failed to wait for loading promise: ${cacheKey}`, error);
+        }
         // Remove the failed promise and try again
         this.loadingPromises.delete(cacheKey);
       }
@@ -313,27 +846,41 @@ class MRIImageCache {
 
     // Start loading the image with improved error handling
     this.cacheStats.misses++;
-    const loadPromise = this.loadImage(imageUrl, cacheKey, 2); // Reduced retries for faster failure
+    // Cached before anyone waiting on the promise resumes, so they find it with has()
+    const loadPromise = this.loadImage(imageUrl, cacheKey, 2, signal) // Reduced retries for faster failure
+      .then(({ objectUrl, bytes }) => {
+        this.addToCache(cacheKey, objectUrl, bytes);
+        return objectUrl;
+      });
     this.loadingPromises.set(cacheKey, loadPromise);
 
     try {
-      const imageBlob = await loadPromise;
-      this.cache.set(cacheKey, imageBlob);
+      const objectUrl = await loadPromise;
       console.log(`Successfully cached: ${cacheKey}`);
-      return imageBlob;
+      return objectUrl;
     } catch (error) {
-      console.error(`Failed to load image: ${cacheKey}`, error);
-      this.cacheStats.failed++;
+      if (error.name !== 'AbortError') {
+        console.error(`Failed to load image: ${cacheKey}`, error);
+        this.cacheStats.failed++;
+      }
       throw error;
     } finally {
-      this.loadingPromises.delete(cacheKey);
+      // A caller that was waiting on an aborted load may have started a new one already
+      if (this.loadingPromises.get(cacheKey) === loadPromise) {
+        this.loadingPromises.delete(cacheKey);
+      }
     }
   }
 
   /**
    * Load image with improved retry logic, timeout handling, and failure tracking
+   * Aborting `signal` cancels the download or the wait before a retry.
+   * @returns {Promise<{objectUrl: string, bytes: number}>}
    */
-  async loadImage(url, cacheKey, retries = 2) {
+  async loadImage(url, cacheKey, retries = 2, signal = undefined) {
+    if (signal && signal.aborted) {
+      throw new DOMException('Load cancelled', 'AbortError');
+    }
     this.loadingCount++;
     
     // Check if this URL has permanently failed before
@@ -354,15 +901,17 @@ class MRIImageCache {
       if (this.retryDelays.has(retryKey)) {
         const delay = this.retryDelays.get(retryKey);
         console.log(`Waiting ${delay}ms before retry for ${cacheKey}...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
+        await abortableDelay(delay, signal);
       }
       
       // Use simple fetch without custom headers to avoid CORS preflight
-      const fetchPromise = fetch(url, {
+      const init = {
         method: 'GET',
         mode: 'cors',
-        credentials: 'omit'
-      });
+        credentials: 'omit',
+        signal
+      };
+      const fetchPromise = this.store ? this.store.fetch(url, init) : fetch(url, init);
       
       const response = await Promise.race([fetchPromise, timeoutPromise]);
 
@@ -383,9 +932,14 @@ class MRIImageCache {
       this.retryDelays.delete(retryKey);
       
       console.log(`✓ Cached: ${cacheKey} (${(blob.size / 1024).toFixed(1)}KB)`);
-      return objectUrl;
+      return { objectUrl, bytes: blob.size };
       
     } catch (error) {
+      // Cancelled, not failed: no retry, and the URL can be loaded again later
+      if (error.name === 'AbortError') {
+        console.log(`Cancelled: ${cacheKey}`);
+        throw error;
+      }
       console.warn(`Failed to load ${cacheKey}:`, error.message);
       
       if (retries > 0) {
@@ -399,8 +953,8 @@ class MRIImageCache {
         this.retryDelays.set(retryKey, delay);
         
         console.log(`Retrying ${cacheKey} in ${delay.toFixed(0)}ms (${retries} attempts left)...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return this.loadImage(url, cacheKey, retries - 1);
+        await abortableDelay(delay, signal);
+        return this.loadImage(url, cacheKey, retries - 1, signal);
       }
       
       // Mark URL as permanently failed after all retries
@@ -414,163 +968,168 @@ class MRIImageCache {
   }
 
   /**
-   * Preload images in batches with priority and recovery mechanisms
+   * Prefetch every slice in the background, nearest to each viewport's current slice first.
+   * The order is worked out again whenever a load finishes or the focus moves (see
+   * setFocus and followManager), so loading always follows where the user is looking.
+   * Prefetching stops at the memory budget (maxBytes); after that, slices are only loaded
+   * as they come near the focus. Takes URL lists per plane; defaults to every slice of the
+   * image source.
+   * @returns {Promise<void>} Resolves when every slice has been loaded or has failed, or
+   *   the budget is full.
    */
-  async preloadImages(realMRIImages, prioritySlices = [10, 9, 11, 8, 12]) {
+  preloadImages(realMRIImages = this.source && this.source.getUrlLists()) {
     if (this.isPreloading) {
       console.log('Preloading already in progress, skipping...');
-      return;
+      return this.prefetchDone;
     }
     this.isPreloading = true;
+    this.prefetchUrls = realMRIImages;
 
-    console.log('🚀 Starting intelligent image preloading...');
+    console.log('🚀 Starting proximity-aware image preloading...');
     const startTime = performance.now();
-    
-    try {
-      // Phase 1: Preload priority slices (center slices first)
-      console.log('Phase 1: Loading priority slices...');
-      const priorityResult = await this.preloadPrioritySlices(realMRIImages, prioritySlices);
-      
-      // Phase 2: Preload remaining slices in background
-      console.log('Phase 2: Loading remaining slices...');
-      const remainingResult = await this.preloadRemainingSlices(realMRIImages, prioritySlices);
-      
-      const endTime = performance.now();
-      const totalTime = (endTime - startTime) / 1000;
-      
+    this.prefetchDone = new Promise(resolve => {
+      this.resolvePrefetch = resolve;
+    }).then(() => {
+      const totalTime = (performance.now() - startTime) / 1000;
       console.log('✅ Preloading complete!');
       console.log(`Total time: ${totalTime.toFixed(2)}s`);
-      console.log(`Priority: ${priorityResult.completed} loaded, ${priorityResult.failed} failed`);
-      console.log(`Background: ${remainingResult.completed} loaded, ${remainingResult.failed} failed`);
       console.log('Final cache stats:', this.getStats());
-      
-    } catch (error) {
-      console.error('Preloading failed:', error);
-      // Try to recover by clearing failed promises
-      this.loadingPromises.clear();
-    } finally {
-      this.isPreloading = false;
-    }
+    });
+
+    this.schedulePrefetch();
+    return this.prefetchDone;
   }
 
   /**
-   * Force restart preloading if it gets stuck
+   * Move the prefetch focus. Loads in flight that are now more than PREFETCH_KEEP_RADIUS
+   * slices from their viewport's focus are aborted; they are loaded again later, at their
+   * new place in the order.
+   * @param {Object<string, number>} slices - Current slice per viewport.
+   * @param {Object<string, number>} [targets] - Slices a click just correlated to; loaded first.
    */
-  async restartPreloading(realMRIImages) {
-    console.log('🔄 Restarting preloading process...');
-    this.isPreloading = false;
-    this.loadingPromises.clear();
-    
-    // Wait a moment then restart
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    await this.preloadImages(realMRIImages);
+  setFocus(slices, targets = {}) {
+    this.prefetchFocus = { ...slices };
+    this.prefetchTargets = { ...targets };
+
+    this.prefetchActive.forEach(task => {
+      const distance = Math.abs(task.slice - this.prefetchFocus[task.viewport]);
+      if (distance > PREFETCH_KEEP_RADIUS && this.prefetchTargets[task.viewport] !== task.slice) {
+        console.log(`Cancelling prefetch of ${task.viewport}-${task.slice} (${distance} slices away)`);
+        task.controller.abort();
+      }
+    });
+    // Slices the focus left are no longer protected
+    this.enforceBudget();
+    this.schedulePrefetch();
   }
 
   /**
-   * Preload priority slices first (center slices for immediate use)
+   * Keep the prefetch focus on a manager's slices: every slice change moves it, and a
+   * click puts the correlated slices first.
+   * @param {MRIViewportManager} manager
+   * @returns {function(): void} Stops following.
    */
-  async preloadPrioritySlices(realMRIImages, prioritySlices) {
-    const priorityTasks = [];
-    
-    for (const viewport of ['axial', 'sagittal', 'coronal']) {
-      for (const slice of prioritySlices) {
-        if (slice < realMRIImages[viewport].length) {
-          priorityTasks.push({
-            viewport,
-            slice,
-            url: realMRIImages[viewport][slice],
-            priority: 'high'
-          });
-        }
+  followManager(manager) {
+    this.setFocus(manager.currentSlices);
+    const unsubscribeSlices = manager.on('slicechange', ({ cause, currentSlices }) => {
+      // A click's slice changes are followed by its correlate event
+      if (cause !== 'click') {
+        this.setFocus(currentSlices);
       }
-    }
-
-    console.log(`Loading ${priorityTasks.length} priority images...`);
-    return await this.processBatch(priorityTasks, 'Priority');
+    });
+    const unsubscribeCorrelate = manager.on('correlate', ({ slices }) => {
+      this.setFocus(manager.currentSlices, slices);
+    });
+    return () => {
+      unsubscribeSlices();
+      unsubscribeCorrelate();
+    };
   }
 
   /**
-   * Preload remaining slices in background
+   * Start loads, up to maxConcurrentLoads, for the first slices in prefetch order that are
+   * neither cached, loading nor permanently failed. Once the budget is full only protected
+   * slices are loaded: the nearer slices were cached first, so loading further ones would
+   * evict them. Keeps running after the preloadImages pass, to reload evicted slices the
+   * focus comes back to, until stopPreloading.
    */
-  async preloadRemainingSlices(realMRIImages, prioritySlices) {
-    const remainingTasks = [];
-    
-    for (const viewport of ['axial', 'sagittal', 'coronal']) {
-      for (let slice = 0; slice < realMRIImages[viewport].length; slice++) {
-        if (!prioritySlices.includes(slice)) {
-          remainingTasks.push({
-            viewport,
-            slice,
-            url: realMRIImages[viewport][slice],
-            priority: 'normal'
-          });
-        }
+  schedulePrefetch() {
+    if (!this.prefetchUrls) return;
+
+    const urls = this.prefetchUrls;
+    const sliceCounts = {};
+    Object.keys(urls).forEach(viewport => {
+      sliceCounts[viewport] = urls[viewport].length;
+    });
+    const pending = getPrefetchOrder(sliceCounts, this.prefetchFocus, this.prefetchTargets).filter(({ viewport, slice }) => {
+      const cacheKey = `${viewport}-${slice}`;
+      const url = urls[viewport][slice];
+      return url && !this.cache.has(cacheKey) && !this.prefetchActive.has(cacheKey) && !this.failedUrls.has(url);
+    });
+
+    // Sizes are only known after loading, so assume the average of the cached images
+    const averageBytes = this.cache.size > 0 ? this.totalBytes / this.cache.size : 0;
+    const fitsBudget = () => this.totalBytes + (this.prefetchActive.size + 1) * averageBytes <= this.maxBytes;
+    for (const task of pending) {
+      if (this.prefetchActive.size >= this.maxConcurrentLoads) break;
+      if (fitsBudget() || this.isProtected(task.viewport, task.slice)) {
+        this.startPrefetch(task);
       }
     }
 
-    console.log(`Loading ${remainingTasks.length} remaining images...`);
-    return await this.processBatch(remainingTasks, 'Background');
+    if (this.prefetchActive.size === 0 && this.isPreloading) {
+      if (pending.length > 0) {
+        console.log(`Prefetch stopped at the memory budget; ${pending.length} slices load on demand`);
+      }
+      this.isPreloading = false;
+      this.resolvePrefetch();
+    }
   }
 
-  /**
-   * Process batch of images with improved concurrency control and error recovery
-   */
-  async processBatch(tasks, batchName) {
-    const batchSize = this.maxConcurrentLoads;
-    let completed = 0;
-    let failed = 0;
-    let skipped = 0;
-    
-    console.log(`Starting ${batchName} batch: ${tasks.length} images`);
-    
-    for (let i = 0; i < tasks.length; i += batchSize) {
-      const batch = tasks.slice(i, i + batchSize);
-      const batchPromises = batch.map(async (task) => {
-        const cacheKey = `${task.viewport}-${task.slice}`;
-        
-        try {
-          // Skip if already cached
-          if (this.cache.has(cacheKey)) {
-            skipped++;
-            return;
-          }
-          
-          // Skip if URL is permanently failed
-          if (this.failedUrls.has(task.url)) {
-            console.log(`Skipping permanently failed URL: ${cacheKey}`);
-            skipped++;
-            return;
-          }
-          
-          await this.getImage(task.viewport, task.slice, task.url);
-          this.cacheStats.preloaded++;
-          completed++;
-          
-        } catch (error) {
-          console.error(`Batch item failed: ${cacheKey}`, error.message);
-          failed++;
+  startPrefetch({ viewport, slice }) {
+    const cacheKey = `${viewport}-${slice}`;
+    const controller = new AbortController();
+    this.prefetchActive.set(cacheKey, { viewport, slice, controller });
+
+    this.getImage(viewport, slice, this.prefetchUrls[viewport][slice], { signal: controller.signal })
+      .then(() => {
+        this.cacheStats.preloaded++;
+      })
+      .catch(error => {
+        if (error.name !== 'AbortError') {
+          console.error(`Prefetch failed: ${cacheKey}`, error.message);
         }
+      })
+      .finally(() => {
+        this.prefetchActive.delete(cacheKey);
+        this.schedulePrefetch();
       });
+  }
 
-      // Use Promise.allSettled to continue even if some images fail
-      const results = await Promise.allSettled(batchPromises);
-      
-      // Log progress every few batches
-      if (i % (batchSize * 3) === 0 || i + batchSize >= tasks.length) {
-        const progress = ((i + batchSize) / tasks.length * 100).toFixed(1);
-        console.log(`${batchName} progress: ${progress}% (${completed} loaded, ${failed} failed, ${skipped} skipped)`);
-      }
-      
-      // Adaptive delay between batches based on failure rate
-      if (i + batchSize < tasks.length) {
-        const failureRate = failed / (completed + failed + skipped);
-        const delay = failureRate > 0.3 ? 500 : (failureRate > 0.1 ? 200 : 100); // Longer delay if many failures
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
+  /**
+   * Abort every prefetch in flight and stop scheduling more.
+   */
+  stopPreloading() {
+    this.prefetchUrls = null;
+    this.prefetchActive.forEach(task => task.controller.abort());
+    this.prefetchActive.clear();
+    if (this.isPreloading) {
+      this.isPreloading = false;
+      this.resolvePrefetch();
     }
+  }
+
+  /**
+   * Force restart preloading if it gets stuck
+   */
+  async restartPreloading(realMRIImages) {
+    console.log('🔄 Restarting preloading process...');
+    this.stopPreloading();
+    this.loadingPromises.clear();
     
-    console.log(`${batchName} batch complete: ${completed} loaded, ${failed} failed, ${skipped} skipped`);
-    return { completed, failed, skipped };
+    // Wait a moment then restart
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    await this.preloadImages(realMRIImages);
   }
 
   /**
@@ -580,6 +1139,8 @@ class MRIImageCache {
     return {
       ...this.cacheStats,
       cacheSize: this.cache.size,
+      cacheBytes: this.totalBytes,
+      maxBytes: this.maxBytes,
       loadingCount: this.loadingCount,
       hitRate: this.cacheStats.hits / (this.cacheStats.hits + this.cacheStats.misses) * 100
     };
@@ -589,6 +1150,8 @@ class MRIImageCache {
    * Clear cache and free memory with improved cleanup
    */
   clearCache() {
+    this.stopPreloading();
+
     // Revoke object URLs to free memory
     for (const objectUrl of this.cache.values()) {
       if (typeof objectUrl === 'string' && objectUrl.startsWith('blob:')) {
@@ -597,6 +1160,8 @@ class MRIImageCache {
     }
     
     this.cache.clear();
+    this.cacheBytes.clear();
+    this.totalBytes = 0;
     this.loadingPromises.clear();
     this.failedUrls.clear(); // Clear failed URLs to allow retry
     this.retryDelays.clear(); // Clear retry delays
@@ -606,7 +1171,9 @@ class MRIImageCache {
       hits: 0,
       misses: 0,
       preloaded: 0,
-      failed: 0
+      failed: 0,
+      evictions: 0,
+      evictedBytes: 0
     };
     
     console.log('Cache cleared completely (including failed URLs)');
@@ -633,7 +1200,12 @@ class MRIImageCache {
       failedUrls: this.failedUrls.size,
       retryDelays: this.retryDelays.size,
       loadingPromises: this.loadingPromises.size,
-      isPreloading: this.isPreloading
+      isPreloading: this.isPreloading,
+      prefetching: this.prefetchActive.size,
+      protectedSlices: Array.from(this.cache.keys()).filter(cacheKey => {
+        const { viewport, slice } = parseCacheKey(cacheKey);
+        return this.isProtected(viewport, slice);
+      }).length
     };
   }
 }
@@ -650,9 +1222,9 @@ let realMRIImages = null;
 async function loadRealMRIImages() {
   if (!realMRIImages) {
     try {
-      const response = await fetch('realMRIImages.json');
-      const data = await response.json();
-      realMRIImages = data.mri_images;
+      const source = await new (getImageSources().UrlManifestSource)('realMRIImages.json').open();
+      imageCache.setSource(source);
+      realMRIImages = source.getUrlLists();
       console.log('Real MRI images loaded successfully');
       console.log(`Total images: Axial=${realMRIImages.axial.length}, Sagittal=${realMRIImages.sagittal.length}, Coronal=${realMRIImages.coronal.length}`);
       
@@ -696,7 +1268,7 @@ async function updateViewportImage(viewport, sliceNumber) {
       const cachedImageUrl = await imageCache.getImage(viewport, sliceNumber, imageUrl);
       
       imageElement.src = cachedImageUrl;
-      imageElement.alt = `${viewport} view - slice ${sliceNumber + 1} of 21`;
+      imageElement.alt = `${viewport} view - slice ${sliceNumber + 1} of ${realMRIImages[viewport].length}`;
       
       const endTime = performance.now();
       const loadTime = endTime - startTime;
@@ -709,7 +1281,8 @@ async function updateViewportImage(viewport, sliceNumber) {
       // Log cache performance periodically
       if (Math.random() < 0.05) { // 5% of the time
         const stats = imageCache.getStats();
-        console.log(`Cache performance: ${stats.hitRate.toFixed(1)}% hit rate, ${stats.cacheSize}/63 images cached, ${loadTime.toFixed(2)}ms load time`);
+        const totalImages = Object.values(realMRIImages).reduce((sum, urls) => sum + urls.length, 0);
+        console.log(`Cache performance: ${stats.hitRate.toFixed(1)}% hit rate, ${stats.cacheSize}/${totalImages} images cached, ${loadTime.toFixed(2)}ms load time`);
       }
     } else {
       console.warn(`No image found for ${viewport} slice ${sliceNumber}`);
@@ -731,36 +1304,29 @@ async function updateViewportImage(viewport, sliceNumber) {
 // Example usage and initialization
 async function initializeMRIViewer() {
   try {
-    // Load correlation data (both mathematical coefficients and lookup tables)
-    const [coeffResponse, lookupResponse] = await Promise.all([
-      fetch('correlationTables.json'),
-      fetch('correlationLookupTables.json')
-    ]);
-    
-    const correlationData = await coeffResponse.json();
-    const lookupData = await lookupResponse.json();
-    
-    // Merge the data
-    const combinedData = {
-      ...correlationData,
-      ...lookupData
-    };
-    
-    // Create viewport manager
-    const viewportManager = new MRIViewportManager(combinedData);
-    
-    // Add listener for viewport updates
-    viewportManager.addListener(async (changes, currentSlices) => {
-      console.log('Slice changes:', changes);
-      console.log('Current slices:', currentSlices);
-      
-      // Update UI for each changed viewport
-      for (const viewport of Object.keys(changes)) {
-        if (typeof updateViewportDisplay === 'function') {
-          await updateViewportDisplay(viewport, currentSlices[viewport]);
-        } else {
-          await updateViewportImage(viewport, currentSlices[viewport]);
-        }
+    const images = await loadRealMRIImages();
+
+    const viewports = {};
+    const totalSlices = {};
+    ['axial', 'sagittal', 'coronal'].forEach(viewport => {
+      viewports[viewport] = document.getElementById(`${viewport}-image`);
+      totalSlices[viewport] = images[viewport].length;
+    });
+
+    // Create viewport manager and load the coefficient profiles
+    const viewportManager = new MRIViewportManager(viewports, totalSlices);
+    await viewportManager.loadCorrelationData('correlationTables.json');
+
+    // Prefetch outward from the slices being viewed
+    imageCache.followManager(viewportManager);
+
+    // Update the image of each viewport whose slice changes
+    viewportManager.on('slicechange', async ({ viewport, sliceNumber, cause }) => {
+      console.log(`Slice change (${cause}): ${viewport} → ${sliceNumber}`);
+      if (typeof updateViewportDisplay === 'function') {
+        await updateViewportDisplay(viewport, sliceNumber);
+      } else {
+        await updateViewportImage(viewport, sliceNumber);
       }
     });
 
@@ -773,9 +1339,11 @@ async function initializeMRIViewer() {
 
 // Export for use in different environments
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { MRIViewportManager, initializeMRIViewer, loadRealMRIImages, updateViewportImage, MRIImageCache };
+  module.exports = { MRIViewportManager, ANATOMICAL_REGIONS, SLICE_CHANGE_CAUSES, initializeMRIViewer, loadRealMRIImages, updateViewportImage, MRIImageCache, getPrefetchOrder };
 } else {
   window.MRIViewportManager = MRIViewportManager;
+  window.ANATOMICAL_REGIONS = ANATOMICAL_REGIONS;
+  window.SLICE_CHANGE_CAUSES = SLICE_CHANGE_CAUSES;
   window.initializeMRIViewer = initializeMRIViewer;
   window.loadRealMRIImages = loadRealMRIImages;
   window.updateViewportImage = updateViewportImage;
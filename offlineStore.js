@@ -0,0 +1,266 @@
+/**
+ * Offline Store
+ * Keeps the slice images of every study that has been viewed in Cache Storage, one cache
+ * per study, so the study opens again without downloading its images, and without a
+ * network at all. sw.js answers <img> loads and the viewer's own files from these caches.
+ *
+ * A study cache holds its images under their URLs, plus an info entry (STUDY_INFO_NAME)
+ * with the study's label and when it was last viewed.
+ */
+
+const STUDY_CACHE_PREFIX = 'mri-study:';
+const STUDY_INFO_NAME = '__study-info__';
+// Images are stored with their size, so listing studies doesn't read every image
+const STORED_BYTES_HEADER = 'X-Stored-Bytes';
+
+/**
+ * @param {number} bytes
+ * @returns {string} e.g. '3.2 MB'.
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Slice images per study in Cache Storage.
+ */
+class StudyImageStore {
+  /**
+   * @param {CacheStorage|null} [cacheStorage] - Defaults to the browser's. Pages not served
+   *   over HTTPS or from localhost have none, and the store then does nothing.
+   */
+  constructor(cacheStorage = typeof caches !== 'undefined' ? caches : null) {
+    this.caches = cacheStorage;
+    // Study whose images fetch() stores
+    this.study = null;
+  }
+
+  get isAvailable() {
+    return Boolean(this.caches);
+  }
+
+  /**
+   * Store images for this study from now on, and record that it was viewed.
+   * @param {{id: string, label: string, region?: string, side?: string}} study
+   */
+  async openStudy(study) {
+    if (!this.isAvailable) return;
+    try {
+      const cache = await this.caches.open(`${STUDY_CACHE_PREFIX}${study.id}`);
+      const info = { ...study, lastViewed: new Date().toISOString() };
+      await cache.put(`./${STUDY_INFO_NAME}`, new Response(JSON.stringify(info), {
+        headers: { 'Content-Type': 'application/json' }
+      }));
+      this.study = study;
+      console.log(`📦 Storing images offline for ${study.label}`);
+    } catch (error) {
+      console.warn('⚠️ Offline storage unavailable:', error.message);
+      this.study = null;
+    }
+  }
+
+  /**
+   * fetch() that answers from the open study's cache first and stores the images it
+   * downloads there.
+   * @param {string} url
+   * @param {RequestInit} [init]
+   * @returns {Promise<Response>}
+   */
+  async fetch(url, init) {
+    if (!this.study) {
+      return fetch(url, init);
+    }
+    const cache = await this.caches.open(`${STUDY_CACHE_PREFIX}${this.study.id}`);
+    const stored = await cache.match(url);
+    if (stored) {
+      return stored;
+    }
+
+    const response = await fetch(url, init);
+    const type = response.headers.get('Content-Type') || '';
+    if (!response.ok || !type.startsWith('image/')) {
+      return response;
+    }
+
+    const blob = await response.blob();
+    try {
+      await cache.put(url, new Response(blob, {
+        headers: { 'Content-Type': blob.type, [STORED_BYTES_HEADER]: String(blob.size) }
+      }));
+    } catch (error) {
+      // Usually the storage quota; the image is still shown
+      console.warn(`⚠️ Could not store ${url} offline:`, error.message);
+    }
+    return new Response(blob, { status: response.status, statusText: response.statusText, headers: response.headers });
+  }
+
+  /**
+   * @returns {Promise<Array<{id: string, label: string, region?: string, side?: string,
+   *   lastViewed?: string, images: number, bytes: number}>>} Most recently viewed first.
+   */
+  async listStudies() {
+    if (!this.isAvailable) return [];
+    const names = (await this.caches.keys()).filter(name => name.startsWith(STUDY_CACHE_PREFIX));
+    const studies = await Promise.all(names.map(async (name) => {
+      const cache = await this.caches.open(name);
+      const id = name.slice(STUDY_CACHE_PREFIX.length);
+      let info = { id, label: id };
+      let images = 0;
+      let bytes = 0;
+      for (const request of await cache.keys()) {
+        const response = await cache.match(request);
+        if (request.url.endsWith(`/${STUDY_INFO_NAME}`)) {
+          info = { ...info, ...(await response.json()) };
+        } else {
+          images++;
+          bytes += Number(response.headers.get(STORED_BYTES_HEADER)) || 0;
+        }
+      }
+      return { ...info, images, bytes };
+    }));
+    return studies.sort((a, b) => String(b.lastViewed || '').localeCompare(String(a.lastViewed || '')));
+  }
+
+  /**
+   * Delete a study's stored images. Deleting the open study also stops storing its images
+   * until it is opened again.
+   * @param {string} id
+   * @returns {Promise<boolean>} Whether the study was stored.
+   */
+  async deleteStudy(id) {
+    if (!this.isAvailable) return false;
+    if (this.study && this.study.id === id) {
+      this.study = null;
+    }
+    const deleted = await this.caches.delete(`${STUDY_CACHE_PREFIX}${id}`);
+    console.log(`🗑️ Deleted stored study ${id}`);
+    return deleted;
+  }
+
+  /**
+   * @returns {Promise<number>} Number of studies deleted.
+   */
+  async deleteAllStudies() {
+    const studies = await this.listStudies();
+    await Promise.all(studies.map(study => this.deleteStudy(study.id)));
+    return studies.length;
+  }
+
+  /**
+   * @returns {Promise<{usage: number, quota: number}|null>} Storage used by this site and
+   *   its quota, where the browser reports them.
+   */
+  async getUsage() {
+    if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+      return null;
+    }
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  }
+}
+
+/**
+ * Register sw.js so the viewer and stored studies open without a network. Service
+ * workers need HTTPS or localhost; elsewhere the viewer works online only.
+ * @param {string} [scriptUrl]
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+async function registerOfflineWorker(scriptUrl = 'sw.js') {
+  if (typeof navigator === 'undefined' || !navigator.serviceWorker) {
+    console.warn('⚠️ Service workers are not available; offline mode is off');
+    return null;
+  }
+  try {
+    const registration = await navigator.serviceWorker.register(scriptUrl);
+    console.log('📦 Offline mode ready:', registration.scope);
+    return registration;
+  } catch (error) {
+    console.warn('⚠️ Service worker registration failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * List the stored studies in an element: images, size and last view per study, each
+ * with a Delete button, and Delete All. The list is rebuilt after a deletion.
+ * @param {HTMLElement} container
+ * @param {StudyImageStore} store
+ * @param {function(): void} [onDelete] - Called after studies are deleted.
+ */
+async function renderStoredStudies(container, store, onDelete = () => {}) {
+  container.textContent = '';
+  if (!store.isAvailable) {
+    container.textContent = 'Offline storage needs the viewer to be served over HTTPS or from localhost.';
+    return;
+  }
+
+  const [studies, usage] = await Promise.all([store.listStudies(), store.getUsage()]);
+  const rerender = () => {
+    onDelete();
+    renderStoredStudies(container, store, onDelete);
+  };
+
+  if (studies.length === 0) {
+    container.textContent = 'No studies stored yet. Studies are stored as they are viewed.';
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'stored-studies-table';
+  const header = table.insertRow();
+  ['Study', 'Images', 'Size', 'Last viewed', ''].forEach(text => {
+    const cell = document.createElement('th');
+    cell.textContent = text;
+    header.appendChild(cell);
+  });
+  studies.forEach(study => {
+    const row = table.insertRow();
+    const details = [study.region, study.side].filter(Boolean).join(' ');
+    [
+      details ? `${study.label} (${details})` : study.label,
+      study.images,
+      formatBytes(study.bytes),
+      study.lastViewed ? new Date(study.lastViewed).toLocaleString() : '-'
+    ].forEach(text => {
+      row.insertCell().textContent = text;
+    });
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = 'Delete';
+    button.addEventListener('click', async () => {
+      await store.deleteStudy(study.id);
+      rerender();
+    });
+    row.insertCell().appendChild(button);
+  });
+  container.appendChild(table);
+
+  const summary = document.createElement('div');
+  summary.className = 'stored-studies-summary';
+  const total = studies.reduce((sum, study) => sum + study.bytes, 0);
+  summary.textContent = `${studies.length} stored, ${formatBytes(total)}` +
+    (usage ? ` (site storage ${formatBytes(usage.usage)} of ${formatBytes(usage.quota)})` : '');
+  const deleteAll = document.createElement('button');
+  deleteAll.type = 'button';
+  deleteAll.textContent = 'Delete All';
+  deleteAll.addEventListener('click', async () => {
+    if (!confirm(`Delete all ${studies.length} stored studies? They will download again when viewed.`)) return;
+    await store.deleteAllStudies();
+    rerender();
+  });
+  summary.appendChild(deleteAll);
+  container.appendChild(summary);
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { STUDY_CACHE_PREFIX, StudyImageStore, registerOfflineWorker, renderStoredStudies, formatBytes };
+} else {
+  window.OfflineStore = { STUDY_CACHE_PREFIX, StudyImageStore, registerOfflineWorker, renderStoredStudies, formatBytes };
+}
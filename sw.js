@@ -0,0 +1,92 @@
+/**
+ * Offline Service Worker
+ * Lets the viewer open without a network:
+ *
+ *   viewer files (same origin)   network first, so updates show at once; the last copy
+ *                                is kept in APP_CACHE and used when offline
+ *   slice images (other hosts)   cache first, from the study caches offlineStore.js fills
+ *
+ * Registered by both viewers through OfflineStore.registerOfflineWorker().
+ */
+
+const APP_CACHE = 'mri-viewer-app-v1';
+const APP_CACHE_PREFIX = 'mri-viewer-app-';
+
+// Everything the viewers load from this site
+const APP_FILES = [
+  './',
+  'index.html',
+  'mri-viewer.html',
+  'style.css',
+  'annotationStore.js',
+  'cinePlayer.js',
+  'coefficientCalculator.js',
+  'correlationEngine.js',
+  'dicomLoader.js',
+  'imageManifest.js',
+  'imageSource.js',
+  'layoutManager.js',
+  'measurementTools.js',
+  'mri-viewer.js',
+  'mriViewportManager.js',
+  'offlineStore.js',
+  'touchGestures.js',
+  'viewTransform.js',
+  'viewerLink.js',
+  'windowLevel.js',
+  'correlationTables.json',
+  'realMRIImages.json'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(APP_CACHE)
+      .then(cache => cache.addAll(APP_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop the viewer files of older versions; study caches are only deleted by the user
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(APP_CACHE_PREFIX) && name !== APP_CACHE)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  if (new URL(request.url).origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(APP_CACHE);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    // Offline: the last copy, whatever query string (?source=, cache busting) was used
+    const stored = await caches.match(request, { ignoreSearch: true });
+    if (stored) {
+      return stored;
+    }
+    throw error;
+  }
+}
+
+async function cacheFirst(request) {
+  const stored = await caches.match(request);
+  return stored || fetch(request);
+}
@@ -0,0 +1,59 @@
+/**
+ * Behaviour checks for correlationEngine.js: the slice formula, as written in the
+ * Parameters workbook, and the convention guard on coefficient files.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CORRELATION_CONVENTION,
+  CorrelationConventionError,
+  validateConvention,
+  parseCorrelationTables,
+  correlateClick
+} = require('../correlationEngine');
+const correlationTables = require('../correlationTables.json');
+
+const shoulder = parseCorrelationTables(correlationTables).shoulder;
+const MAX_SLICES = { sagittal: 20, axial: 20, coronal: 20 };
+
+test('correlateClick evaluates slice = a * y + b * x - c for the other two planes', () => {
+  const results = correlateClick(shoulder.coefficients, 'axial', 0.4, 0.6, MAX_SLICES);
+
+  assert.deepEqual(results.map(({ target, key, label }) => ({ target, key, label })), [
+    { target: 'sagittal', key: 'axial_to_sagittal', label: 'Ssag(Ax)' },
+    { target: 'coronal', key: 'axial_to_coronal', label: 'Scor(Ax)' }
+  ]);
+  // Ssag(Ax): -11.68 * 0.6 + 19.22 * 0.4 + 4.08; Scor(Ax): -25.50 * 0.6 - 13.81 * 0.4 + 30.49
+  assert.ok(Math.abs(results[0].raw - 4.76) < 1e-9);
+  assert.ok(Math.abs(results[1].raw - 9.666) < 1e-9);
+});
+
+test('an axial click at (0.4, 0.6) selects sagittal 5 and coronal 10', () => {
+  const slices = Object.fromEntries(
+    correlateClick(shoulder.coefficients, 'axial', 0.4, 0.6, MAX_SLICES).map(({ target, slice }) => [target, slice])
+  );
+  assert.deepEqual(slices, { sagittal: 5, coronal: 10 });
+});
+
+test('correlateClick clamps slices to the series', () => {
+  const coefficients = { ...shoulder.coefficients, axial_to_sagittal: { a: 0, b: 0, c: -50 } };
+  const [sagittal] = correlateClick(coefficients, 'axial', 0.4, 0.6, MAX_SLICES);
+  assert.equal(sagittal.raw, 50);
+  assert.equal(sagittal.slice, 20);
+});
+
+test('validateConvention accepts the engine convention', () => {
+  assert.doesNotThrow(() => validateConvention({ ...CORRELATION_CONVENTION }));
+  assert.doesNotThrow(() => validateConvention(correlationTables.convention));
+});
+
+test('validateConvention rejects a mismatched or missing convention', () => {
+  assert.throws(() => validateConvention({ ...CORRELATION_CONVENTION, c_sign: 'add' }), CorrelationConventionError);
+  assert.throws(() => validateConvention({ ...CORRELATION_CONVENTION, y_axis: 'top_to_bottom' }), /y_axis/);
+  assert.throws(() => validateConvention(undefined), CorrelationConventionError);
+  assert.throws(
+    () => parseCorrelationTables({ ...correlationTables, convention: { ...CORRELATION_CONVENTION, key_direction: 'target_to_source' } }),
+    CorrelationConventionError
+  );
+});
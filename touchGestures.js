@@ -0,0 +1,251 @@
+/**
+ * Touch Gestures
+ * One gesture layer for every viewer (index.html, mri-viewer.html and the React component):
+ *
+ *   tap                    correlate at the touched point
+ *   one-finger swipe       change slice (up = next slice, like scrolling the wheel down)
+ *   pinch                  zoom around the fingers' midpoint
+ *   two-finger drag        pan
+ *   long-press             context menu
+ *
+ * GestureRecognizer works on plain touch points ({x, y}) so it doesn't depend on the DOM;
+ * attachTouchGestures feeds it from an element's touch events.
+ */
+
+const GESTURE_DEFAULTS = {
+  tapSlop: 10, // px a finger may drift and still count as a tap or long-press
+  longPressDelay: 550, // ms
+  swipeStep: 24 // px of vertical travel per slice
+};
+
+/**
+ * Recognises taps, swipes, pinches, two-finger pans and long-presses from touch points.
+ */
+class GestureRecognizer {
+  /**
+   * @param {Object} handlers - All optional; points are {x, y} in the caller's coordinates.
+   * @param {function({x: number, y: number}): void} [handlers.onTap]
+   * @param {function(number): void} [handlers.onSwipe] - Called with +1 (finger moved up) or -1 per swipeStep of travel.
+   * @param {function(number, {x: number, y: number}): void} [handlers.onPinch] - Zoom factor since the last call, and the midpoint.
+   * @param {function(number, number, {x: number, y: number}): void} [handlers.onPan] - Midpoint movement since the last call.
+   * @param {function({x: number, y: number}): void} [handlers.onLongPress]
+   * @param {Object} [options] - Overrides for GESTURE_DEFAULTS.
+   */
+  constructor(handlers, options = {}) {
+    this.handlers = handlers;
+    this.options = { ...GESTURE_DEFAULTS, ...options };
+    this.reset();
+  }
+
+  reset() {
+    clearTimeout(this.longPressTimer);
+    this.longPressTimer = null;
+    // idle, pending (one finger down, not moved yet), swipe, ignored, multi, done
+    this.state = 'idle';
+    this.origin = null;
+    this.last = null;
+    this.swipeTravel = 0;
+  }
+
+  /**
+   * A finger went down.
+   * @param {Array<{x: number, y: number}>} touches - All fingers now on the surface.
+   */
+  start(touches) {
+    if (touches.length === 1 && this.state === 'idle') {
+      this.state = 'pending';
+      this.origin = touches[0];
+      this.last = touches[0];
+      this.longPressTimer = setTimeout(() => {
+        if (this.state !== 'pending') return;
+        this.state = 'done';
+        this.emit('onLongPress', this.origin);
+      }, this.options.longPressDelay);
+    } else if (touches.length >= 2) {
+      clearTimeout(this.longPressTimer);
+      this.state = 'multi';
+      this.beginMulti(touches);
+    }
+  }
+
+  beginMulti([a, b]) {
+    this.lastDistance = Math.hypot(a.x - b.x, a.y - b.y);
+    this.lastCenter = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  }
+
+  /**
+   * Fingers moved.
+   * @param {Array<{x: number, y: number}>} touches
+   */
+  move(touches) {
+    if (this.state === 'pending' && touches.length === 1) {
+      const [touch] = touches;
+      const dx = touch.x - this.origin.x;
+      const dy = touch.y - this.origin.y;
+      if (Math.hypot(dx, dy) <= this.options.tapSlop) return;
+
+      clearTimeout(this.longPressTimer);
+      // Sideways one-finger drags are left alone (two fingers pan)
+      this.state = Math.abs(dy) >= Math.abs(dx) ? 'swipe' : 'ignored';
+    }
+
+    if (this.state === 'swipe' && touches.length === 1) {
+      const [touch] = touches;
+      this.swipeTravel += this.last.y - touch.y;
+      this.last = touch;
+      const { swipeStep } = this.options;
+      while (Math.abs(this.swipeTravel) >= swipeStep) {
+        const direction = Math.sign(this.swipeTravel);
+        this.swipeTravel -= direction * swipeStep;
+        this.emit('onSwipe', direction);
+      }
+    } else if (this.state === 'multi' && touches.length >= 2) {
+      const [a, b] = touches;
+      const distance = Math.hypot(a.x - b.x, a.y - b.y);
+      const center = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+      if (this.lastDistance > 0 && distance !== this.lastDistance) {
+        this.emit('onPinch', distance / this.lastDistance, center);
+      }
+      if (center.x !== this.lastCenter.x || center.y !== this.lastCenter.y) {
+        this.emit('onPan', center.x - this.lastCenter.x, center.y - this.lastCenter.y, center);
+      }
+      this.lastDistance = distance;
+      this.lastCenter = center;
+    }
+  }
+
+  /**
+   * A finger lifted.
+   * @param {Array<{x: number, y: number}>} touches - Fingers still on the surface.
+   */
+  end(touches) {
+    if (touches.length === 0) {
+      const tapped = this.state === 'pending';
+      const origin = this.origin;
+      this.reset();
+      if (tapped) {
+        this.emit('onTap', origin);
+      }
+    } else if (this.state === 'multi') {
+      if (touches.length >= 2) {
+        this.beginMulti(touches);
+      } else {
+        // The finger left over from a pinch must not start a swipe
+        this.state = 'done';
+      }
+    }
+  }
+
+  cancel() {
+    this.reset();
+  }
+
+  emit(name, ...args) {
+    if (this.handlers[name]) {
+      this.handlers[name](...args);
+    }
+  }
+}
+
+/**
+ * Recognise gestures from an element's touch events (points are client coordinates).
+ * Handled touches are not turned into mouse events by the browser, so a tap is reported
+ * once, by onTap.
+ * @param {HTMLElement} element
+ * @param {Object} handlers - See GestureRecognizer.
+ * @param {Object} [options] - GESTURE_DEFAULTS overrides, plus:
+ * @param {function(): boolean} [options.isEnabled] - While false, touches are left to the
+ *   browser (which sends them on as mouse events).
+ * @returns {function(): void} Removes the listeners.
+ */
+function attachTouchGestures(element, handlers, { isEnabled = () => true, ...options } = {}) {
+  const recognizer = new GestureRecognizer(handlers, options);
+  const points = (touchList) => Array.from(touchList, touch => ({ x: touch.clientX, y: touch.clientY }));
+
+  const onStart = (event) => {
+    if (!isEnabled()) return;
+    event.preventDefault();
+    recognizer.start(points(event.touches));
+  };
+  const onMove = (event) => {
+    if (recognizer.state === 'idle') return;
+    event.preventDefault();
+    recognizer.move(points(event.touches));
+  };
+  const onEnd = (event) => {
+    if (recognizer.state === 'idle') return;
+    event.preventDefault();
+    recognizer.end(points(event.touches));
+  };
+  const onCancel = () => recognizer.cancel();
+
+  element.addEventListener('touchstart', onStart, { passive: false });
+  element.addEventListener('touchmove', onMove, { passive: false });
+  element.addEventListener('touchend', onEnd, { passive: false });
+  element.addEventListener('touchcancel', onCancel);
+
+  return () => {
+    element.removeEventListener('touchstart', onStart);
+    element.removeEventListener('touchmove', onMove);
+    element.removeEventListener('touchend', onEnd);
+    element.removeEventListener('touchcancel', onCancel);
+    recognizer.cancel();
+  };
+}
+
+let openGestureMenu = null;
+
+function closeGestureMenu() {
+  if (!openGestureMenu) return;
+  openGestureMenu.remove();
+  openGestureMenu = null;
+}
+
+/**
+ * Show a context menu (e.g. after a long-press). Choosing an item or touching anywhere
+ * else closes it. Styled by the `.gesture-menu` class.
+ * @param {number} x - Client x.
+ * @param {number} y - Client y.
+ * @param {Array<{label: string, action: function(): void}>} items
+ */
+function showGestureMenu(x, y, items) {
+  closeGestureMenu();
+
+  const menu = document.createElement('div');
+  menu.className = 'gesture-menu';
+  menu.setAttribute('role', 'menu');
+  items.forEach(({ label, action }) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.setAttribute('role', 'menuitem');
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      closeGestureMenu();
+      action();
+    });
+    menu.appendChild(button);
+  });
+  document.body.appendChild(menu);
+
+  // Keep the menu on screen
+  const rect = menu.getBoundingClientRect();
+  menu.style.left = `${Math.max(0, Math.min(x, window.innerWidth - rect.width))}px`;
+  menu.style.top = `${Math.max(0, Math.min(y, window.innerHeight - rect.height))}px`;
+  openGestureMenu = menu;
+
+  const closeOutside = (event) => {
+    if (menu.contains(event.target)) return;
+    document.removeEventListener('pointerdown', closeOutside, true);
+    if (openGestureMenu === menu) {
+      closeGestureMenu();
+    }
+  };
+  document.addEventListener('pointerdown', closeOutside, true);
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GESTURE_DEFAULTS, GestureRecognizer, attachTouchGestures, showGestureMenu, closeGestureMenu };
+} else {
+  window.TouchGestures = { GESTURE_DEFAULTS, GestureRecognizer, attachTouchGestures, showGestureMenu, closeGestureMenu };
+}
@@ -0,0 +1,101 @@
+/**
+ * View Transform
+ * Zoom and pan for a viewport, independent of its pixel size. Screen and image
+ * points are normalised to the viewport (0-1, y from the top), so the same
+ * transform drives a canvas, a CSS-transformed <img>, or a synced neighbour.
+ *
+ *   screen = image * zoom + pan
+ */
+
+const IDENTITY_TRANSFORM = Object.freeze({ zoom: 1, panX: 0, panY: 0 });
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 8;
+
+/**
+ * Keep the zoomed image covering the whole viewport (no empty margins).
+ * @param {{zoom: number, panX: number, panY: number}} transform
+ * @returns {{zoom: number, panX: number, panY: number}}
+ */
+function clampTransform(transform) {
+  const zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, transform.zoom));
+  const minPan = 1 - zoom;
+  return {
+    zoom,
+    panX: Math.max(minPan, Math.min(0, transform.panX)),
+    panY: Math.max(minPan, Math.min(0, transform.panY))
+  };
+}
+
+/**
+ * Zoom by a factor, keeping the screen point (u, v) over the same image point.
+ * @param {{zoom: number, panX: number, panY: number}} transform
+ * @param {number} factor - Multiplier for the zoom, e.g. 1.1 to zoom in.
+ * @param {number} u - Screen x of the zoom centre (0-1).
+ * @param {number} v - Screen y of the zoom centre (0-1, from the top).
+ * @returns {{zoom: number, panX: number, panY: number}}
+ */
+function zoomAt(transform, factor, u, v) {
+  const zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, transform.zoom * factor));
+  const ratio = zoom / transform.zoom;
+  return clampTransform({
+    zoom,
+    panX: u - (u - transform.panX) * ratio,
+    panY: v - (v - transform.panY) * ratio
+  });
+}
+
+/**
+ * Pan by a screen distance.
+ * @param {{zoom: number, panX: number, panY: number}} transform
+ * @param {number} du - Horizontal movement as a fraction of the viewport width.
+ * @param {number} dv - Vertical movement as a fraction of the viewport height.
+ * @returns {{zoom: number, panX: number, panY: number}}
+ */
+function panBy(transform, du, dv) {
+  return clampTransform({ ...transform, panX: transform.panX + du, panY: transform.panY + dv });
+}
+
+/**
+ * Convert a screen point to the image point under it.
+ * @param {{zoom: number, panX: number, panY: number}} transform
+ * @param {number} u - Screen x (0-1).
+ * @param {number} v - Screen y (0-1, from the top).
+ * @returns {{x: number, y: number}} Image point (0-1, y from the top).
+ */
+function screenToImage(transform, u, v) {
+  return {
+    x: (u - transform.panX) / transform.zoom,
+    y: (v - transform.panY) / transform.zoom
+  };
+}
+
+/**
+ * Convert an image point to where it is shown on screen.
+ * @param {{zoom: number, panX: number, panY: number}} transform
+ * @param {number} x - Image x (0-1).
+ * @param {number} y - Image y (0-1, from the top).
+ * @returns {{u: number, v: number}} Screen point (0-1, y from the top).
+ */
+function imageToScreen(transform, x, y) {
+  return {
+    u: x * transform.zoom + transform.panX,
+    v: y * transform.zoom + transform.panY
+  };
+}
+
+/**
+ * Whether a transform shows the whole image unzoomed.
+ * @param {{zoom: number, panX: number, panY: number}} transform
+ * @returns {boolean}
+ */
+function isIdentityTransform(transform) {
+  return transform.zoom === 1 && transform.panX === 0 && transform.panY === 0;
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { IDENTITY_TRANSFORM, MIN_ZOOM, MAX_ZOOM, clampTransform, zoomAt, panBy, screenToImage, imageToScreen, isIdentityTransform };
+} else {
+  window.ViewTransform = { IDENTITY_TRANSFORM, MIN_ZOOM, MAX_ZOOM, clampTransform, zoomAt, panBy, screenToImage, imageToScreen, isIdentityTransform };
+}
@@ -0,0 +1,106 @@
+/**
+ * Viewer Link
+ * Encodes the viewer state in the URL hash so a view can be shared as a link:
+ *
+ *   #region=shoulder&side=left&axial=14&sagittal=9&coronal=10&click=axial:0.512,0.300&crosshairs=1
+ *
+ * The click point is in correlation convention coordinates (0-1 within the image,
+ * y from the bottom; see correlationEngine.js). Every field is optional; fields that
+ * are missing or invalid are left out of the parsed state.
+ */
+
+const LINK_PLANES = ['axial', 'sagittal', 'coronal'];
+const LINK_SIDES = ['right', 'left'];
+
+/**
+ * Build the hash for a viewer state.
+ * @param {Object} state
+ * @param {string} [state.region] - Region profile id.
+ * @param {string} [state.side] - 'right' or 'left'.
+ * @param {Object} [state.slices] - Current slice per plane, e.g. `{ axial: 14, sagittal: 9 }`.
+ * @param {{viewport: string, x: number, y: number}} [state.click] - Last click, normalised.
+ * @param {boolean} [state.crosshairs] - Whether correlated crosshairs are shown.
+ * @returns {string} Hash without the leading '#'.
+ */
+function buildViewerHash({ region, side, slices = {}, click = null, crosshairs } = {}) {
+  const params = new URLSearchParams();
+  if (region) {
+    params.set('region', region);
+  }
+  if (side) {
+    params.set('side', side);
+  }
+  LINK_PLANES.forEach(plane => {
+    if (Number.isInteger(slices[plane])) {
+      params.set(plane, slices[plane]);
+    }
+  });
+  if (click) {
+    params.set('click', `${click.viewport}:${click.x.toFixed(3)},${click.y.toFixed(3)}`);
+  }
+  if (crosshairs !== undefined) {
+    params.set('crosshairs', crosshairs ? '1' : '0');
+  }
+  // Keep ':' and ',' readable in the click value
+  return params.toString().replace(/%3A/g, ':').replace(/%2C/g, ',');
+}
+
+/**
+ * Parse a viewer hash.
+ * @param {string} hash - With or without the leading '#'.
+ * @returns {{region?: string, side?: string, slices: Object, click?: {viewport: string, x: number, y: number}, crosshairs?: boolean}}
+ */
+function parseViewerHash(hash) {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  const state = { slices: {} };
+
+  if (params.get('region')) {
+    state.region = params.get('region');
+  }
+
+  const side = params.get('side');
+  if (side !== null) {
+    if (LINK_SIDES.includes(side)) {
+      state.side = side;
+    } else {
+      console.warn(`Ignoring link side: ${side}`);
+    }
+  }
+
+  LINK_PLANES.forEach(plane => {
+    const value = params.get(plane);
+    if (value === null) return;
+    const slice = Number(value);
+    if (Number.isInteger(slice) && slice >= 0) {
+      state.slices[plane] = slice;
+    } else {
+      console.warn(`Ignoring link ${plane} slice: ${value}`);
+    }
+  });
+
+  const click = params.get('click');
+  if (click !== null) {
+    const match = click.match(/^(\w+):([\d.]+),([\d.]+)$/);
+    const x = match && Number(match[2]);
+    const y = match && Number(match[3]);
+    if (match && LINK_PLANES.includes(match[1]) && x >= 0 && x <= 1 && y >= 0 && y <= 1) {
+      state.click = { viewport: match[1], x, y };
+    } else {
+      console.warn(`Ignoring link click: ${click}`);
+    }
+  }
+
+  const crosshairs = params.get('crosshairs');
+  if (crosshairs === '1' || crosshairs === '0') {
+    state.crosshairs = crosshairs === '1';
+  }
+
+  return state;
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { buildViewerHash, parseViewerHash };
+} else {
+  window.ViewerLink = { buildViewerHash, parseViewerHash };
+}
@@ -0,0 +1,85 @@
+/**
+ * Window/Level
+ * Brightness/contrast for displayed slices, applied to canvas pixels so it works on
+ * any cached image (JPEG or rendered DICOM). Values are in display units (0-255).
+ */
+
+/**
+ * Full display range: leaves pixels unchanged.
+ */
+const DEFAULT_WINDOW = Object.freeze({ center: 128, width: 256 });
+
+/**
+ * Starting points for common MR sequences, in display units. These are tuned for
+ * the 8-bit exported images, not raw scanner values.
+ */
+const WINDOW_PRESETS = {
+  default: { label: 'Full range', ...DEFAULT_WINDOW },
+  t1: { label: 'T1', center: 110, width: 200 },
+  t2: { label: 'T2', center: 95, width: 170 },
+  pd_fat_sat: { label: 'PD fat-sat', center: 85, width: 150 }
+};
+
+const MIN_WINDOW_WIDTH = 1;
+
+/**
+ * Whether a window leaves the pixels unchanged.
+ * @param {{center: number, width: number}} displayWindow
+ * @returns {boolean}
+ */
+function isDefaultWindow(displayWindow) {
+  return displayWindow.center === DEFAULT_WINDOW.center && displayWindow.width === DEFAULT_WINDOW.width;
+}
+
+/**
+ * Apply a right-drag to a window: horizontal movement changes the width,
+ * vertical movement the center (dragging down darkens).
+ * @param {{center: number, width: number}} displayWindow - Current window.
+ * @param {number} dx - Horizontal drag in pixels.
+ * @param {number} dy - Vertical drag in pixels.
+ * @returns {{center: number, width: number}} The new window.
+ */
+function adjustWindow(displayWindow, dx, dy) {
+  return {
+    center: Math.round(Math.max(0, Math.min(255, displayWindow.center + dy))),
+    width: Math.round(Math.max(MIN_WINDOW_WIDTH, Math.min(512, displayWindow.width + dx * 2)))
+  };
+}
+
+/**
+ * Lookup table mapping each display value to its windowed value.
+ * @param {{center: number, width: number}} displayWindow
+ * @returns {Uint8ClampedArray} 256 entries.
+ */
+function buildWindowLUT(displayWindow) {
+  const lut = new Uint8ClampedArray(256);
+  const low = displayWindow.center - displayWindow.width / 2;
+  for (let value = 0; value < 256; value++) {
+    lut[value] = ((value - low) / displayWindow.width) * 255;
+  }
+  return lut;
+}
+
+/**
+ * Window an ImageData in place (RGB channels; alpha untouched).
+ * @param {ImageData} imageData
+ * @param {{center: number, width: number}} displayWindow
+ * @returns {ImageData} The same object.
+ */
+function applyWindowLevel(imageData, displayWindow) {
+  const lut = buildWindowLUT(displayWindow);
+  const data = imageData.data;
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = lut[data[i]];
+    data[i + 1] = lut[data[i + 1]];
+    data[i + 2] = lut[data[i + 2]];
+  }
+  return imageData;
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DEFAULT_WINDOW, WINDOW_PRESETS, isDefaultWindow, adjustWindow, buildWindowLUT, applyWindowLevel };
+} else {
+  window.WindowLevel = { DEFAULT_WINDOW, WINDOW_PRESETS, isDefaultWindow, adjustWindow, buildWindowLUT, applyWindowLevel };
+}